@@ -0,0 +1,127 @@
+import { BitPackedBuffer } from "../src/index.js";
+
+const kPayloadSize = 1024 * 1024;
+const kValueCount = 100_000;
+const kMinDuration = 500;
+
+const payload = new Uint8Array(kPayloadSize).map((_, i) => (i * 31) & 0xff);
+
+/**
+ * Runs a function repeatedly for at least kMinDuration milliseconds.
+ *
+ * @param {string} name - Name of the benchmark
+ * @param {number} units - Units of work done by each run, e.g. bytes
+ * @param {string} unit - Name of the unit
+ * @param {function(): *} fn - Function to benchmark
+ */
+function bench(name, units, unit, fn) {
+  // Warm up so the JIT has optimized the code under test
+  for (let i = 0; i < 3; i++) fn();
+
+  let runs = 0;
+  const start = process.hrtime.bigint();
+  let elapsed = 0;
+  while (elapsed < kMinDuration) {
+    fn();
+    runs++;
+    elapsed = Number(process.hrtime.bigint() - start) / 1e6;
+  }
+
+  const rate = (units * runs) / (elapsed / 1000);
+  console.log(`${name.padEnd(36)} ${formatRate(rate).padStart(10)} ${unit}/s`);
+}
+
+/**
+ * Formats a rate with an SI suffix.
+ *
+ * @param {number} rate - Units per second
+ * @returns {string} The formatted rate
+ */
+function formatRate(rate) {
+  if (rate >= 1e9) return `${(rate / 1e9).toFixed(2)}G`;
+  if (rate >= 1e6) return `${(rate / 1e6).toFixed(2)}M`;
+  if (rate >= 1e3) return `${(rate / 1e3).toFixed(2)}k`;
+  return rate.toFixed(2);
+}
+
+/**
+ * Returns a buffer holding `kValueCount` values of the given width,
+ * optionally preceded by a single bit so that they are unaligned.
+ *
+ * @param {number} bits - Width of each value
+ * @param {boolean} unaligned - Whether to offset the values by one bit
+ * @param {string} [endian='big'] - Byte order
+ * @returns {BitPackedBuffer} The filled buffer, positioned at the start
+ */
+function filled(bits, unaligned, endian = "big") {
+  const buffer = new BitPackedBuffer(undefined, endian);
+  if (unaligned) buffer.write.bits(1, 1);
+  for (let i = 0; i < kValueCount; i++) buffer.write.bits(i, bits);
+  return new BitPackedBuffer(buffer.getBuffer(), endian);
+}
+
+/**
+ * Reads `kValueCount` values of the given width from a buffer.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to read from
+ * @param {number} bits - Width of each value
+ * @param {boolean} unaligned - Whether the values are offset by one bit
+ */
+function readAll(buffer, bits, unaligned) {
+  buffer.seek(0);
+  if (unaligned) buffer.read.bits(1);
+  for (let i = 0; i < kValueCount; i++) buffer.read.bits(bits);
+}
+
+console.log(`node ${process.version}\n`);
+
+bench("write.bytes (1 MiB)", kPayloadSize, "B", () => {
+  new BitPackedBuffer().write.bytes(payload);
+});
+
+const bytesBuffer = new BitPackedBuffer(payload);
+bench("read.bytes (1 MiB)", kPayloadSize, "B", () => {
+  bytesBuffer.seek(0);
+  bytesBuffer.read.bytes(kPayloadSize);
+});
+
+bench("baseline: Uint8Array#slice (1 MiB)", kPayloadSize, "B", () => {
+  payload.slice();
+});
+
+for (const [bits, unaligned, endian] of [
+  [8, false, "big"],
+  [16, false, "big"],
+  [16, false, "little"],
+  [32, false, "big"],
+  [5, false, "big"],
+  [13, true, "big"],
+  [32, true, "big"],
+]) {
+  const buffer = filled(bits, unaligned, endian);
+  const label = `${bits}-bit ${unaligned ? "unaligned" : "aligned"} ${endian}`;
+  bench(`read.bits ${label}`, kValueCount, "ops", () =>
+    readAll(buffer, bits, unaligned),
+  );
+  bench(`write.bits ${label}`, kValueCount, "ops", () =>
+    filled(bits, unaligned, endian),
+  );
+}
+
+const view = new DataView(new ArrayBuffer(kValueCount * 4));
+bench("baseline: DataView#getUint32", kValueCount, "ops", () => {
+  for (let i = 0; i < kValueCount; i++) view.getUint32(i * 4);
+});
+
+const float64s = new BitPackedBuffer();
+for (let i = 0; i < kValueCount; i++) float64s.write.float64(i / 3);
+bench("read.float64 aligned", kValueCount, "ops", () => {
+  float64s.seek(0);
+  for (let i = 0; i < kValueCount; i++) float64s.read.float64();
+});
+
+const peeked = filled(16, true);
+bench("peek.uint 16-bit", kValueCount, "ops", () => {
+  peeked.seek(0);
+  for (let i = 0; i < kValueCount; i++) peeked.peek.uint(16);
+});
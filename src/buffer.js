@@ -1,316 +1,2672 @@
-import { swapEndianness } from "./utils.js";
+import {
+  swapEndianness,
+  swapBigIntEndianness,
+  unswapEndianness,
+  unswapBigIntEndianness,
+  float16ToBits,
+  bitsToFloat16,
+  float32ToBits,
+  bitsToFloat32,
+  float64ToBits,
+  bitsToFloat64,
+  zigzagEncode,
+  zigzagDecode,
+  toSafeNumber,
+  roundToInteger,
+  reverseBits,
+  reverseBigIntBits,
+  popcount,
+  grayEncode,
+  grayDecode,
+  grayEncodeBigInt,
+  grayDecodeBigInt,
+} from "./utils.js";
+import {
+  codeUnitSize,
+  encodeString,
+  decodeString,
+  truncateEncoded,
+} from "./text.js";
+import {
+  BufferUnderrunError,
+  BufferOverflowError,
+  InvalidBitCountError,
+  MissingMarkError,
+  ValueOutOfRangeError,
+  InvalidEncodingError,
+} from "./errors.js";
 
-const kPeekMark = Symbol("kPeekMark");
+const kDefaultMaxVarintBytes = 10;
+const kMinCapacity = 64;
+const kEnumModes = ["error", "passthrough", "default"];
+
+/**
+ * A read or write recorded by a tracing buffer.
+ *
+ * @typedef TraceEntry
+ * @type {Object}
+ * @property {string} operation - 'read' or 'write'
+ * @property {string} method - Name of the read or write method, such as 'uint'
+ * @property {number} bitOffset - Bit position where the operation started
+ * @property {number} width - Number of bits consumed
+ * @property {*} value - Value read, or the first argument written
+ * @property {string} [label] - Label set with `label()` before the operation
+ */
+
+/**
+ * Outcome of a `tryRead` operation.
+ *
+ * @typedef ReadResult
+ * @type {Object}
+ * @property {boolean} ok - Whether the read succeeded
+ * @property {*} [value] - The value read, if it succeeded
+ * @property {BufferUnderrunError|InvalidEncodingError} [error] - Why it failed, otherwise
+ */
+
+/**
+ * A field reserved with `reserve()`, to be filled in later.
+ *
+ * @typedef Reservation
+ * @type {Object}
+ * @property {number} bitOffset - Bit position where the field starts
+ * @property {number} bitCount - Width of the field in bits
+ * @property {function((number|bigint)): BitPackedBuffer} set - Write an unsigned value into the field
+ * @property {function(Object=): BitPackedBuffer} setSize - Write the size of a range into the field
+ */
 
 /**
  * A buffer implementation for bit-level reading and writing operations.
- * Supports both big-endian and little-endian byte orders.
+ * Supports both big-endian and little-endian byte orders, and both
+ * MSB-first and LSB-first bit packing within each byte.
+ *
+ * Values wider than 8 bits are stored as byte-sized groups, most
+ * significant first when big-endian and least significant first when
+ * little-endian, each group packed in the buffer's bit order. When the
+ * width isn't a multiple of 8, the most significant group is the partial
+ * one: a 12-bit little-endian value is its low byte followed by its high
+ * 4 bits.
  *
  * @class BitPackedBuffer
  */
 class BitPackedBuffer {
   /**
-   * Creates a new BitPackedBuffer instance.
+   * Creates a new BitPackedBuffer instance.
+   *
+   * @param {Uint8Array|Buffer|ArrayBuffer|SharedArrayBuffer} [contents=new Uint8Array()] - Initial buffer contents, used in place except for a Buffer
+   * @param {string|Object} [options='big'] - Byte order ('big' or 'little'), or an options object
+   * @param {string} [options.endian] - Byte order ('big' or 'little'); defaults to big-endian for MSB-first buffers and little-endian for LSB-first ones
+   * @param {string} [options.bitOrder='msb'] - Bit packing order within each byte ('msb' or 'lsb')
+   * @param {boolean} [options.trace=false] - Record every read and write in `trace`
+   * @param {EscapingLayer} [options.escaping] - Layer that the contents are unescaped with, and `getBuffer()` escapes with
+   * @param {number} [options.capacity=0] - Bytes to allocate up front; larger than the contents, they are copied, which ArrayBuffer contents don't allow
+   * @param {number} [options.maxSize=Infinity] - Size in bytes the buffer can't grow past
+   * @param {boolean} [options.fixedSize] - Never grow past the allocated bytes; the default for ArrayBuffer contents
+   * @param {number} [options.byteOffset=0] - Start of the bytes to use in ArrayBuffer contents
+   * @param {number} [options.byteLength] - Number of bytes to use in ArrayBuffer contents (defaults to the rest)
+   * @throws {InvalidEncodingError} If the contents are not validly escaped
+   * @throws {BufferOverflowError} If the contents are larger than maxSize
+   * @throws {RangeError} If a size option is invalid, or capacity exceeds ArrayBuffer contents
+   */
+  constructor(contents, options = "big") {
+    // ||= because contents can be a false-like value if the
+    // user only wants to set an endianness.
+    contents ||= new Uint8Array();
+
+    const isArrayBuffer =
+      contents instanceof ArrayBuffer ||
+      (typeof SharedArrayBuffer !== "undefined" &&
+        contents instanceof SharedArrayBuffer);
+    const {
+      bitOrder = "msb",
+      endian = bitOrder === "lsb" ? "little" : "big",
+      trace = false,
+      escaping = null,
+      capacity = 0,
+      maxSize = Infinity,
+      fixedSize = isArrayBuffer,
+      byteOffset = 0,
+      byteLength,
+    } = typeof options === "string" ? { endian: options } : options;
+
+    if (isArrayBuffer) {
+      contents = new Uint8Array(contents, byteOffset, byteLength);
+    }
+    this.data =
+      contents instanceof Buffer ? new Uint8Array(contents) : contents;
+    this.position = 0;
+    this.currentByte = 0;
+    this.remainingBits = 0;
+    this.isBigEndian = endian === "big";
+    this.isLsbFirst = bitOrder === "lsb";
+    this.marks = new Map();
+    this.#bitLength = this.data.length * 8;
+
+    /**
+     * Escaping layer applied to the contents and to `getBuffer()`, if any.
+     *
+     * @type {EscapingLayer|null}
+     */
+    this.escaping = escaping;
+    if (escaping) {
+      const { bytes, bitLength } = escaping.unescape(this.data, {
+        bitLength: this.#bitLength,
+        lsbFirst: this.isLsbFirst,
+      });
+      this.data = bytes;
+      this.#bitLength = bitLength;
+    }
+
+    this.#setCapacity(capacity, maxSize, fixedSize, isArrayBuffer);
+
+    /**
+     * Recorded operations when tracing is enabled, otherwise null.
+     *
+     * @type {TraceEntry[]|null}
+     */
+    this.trace = null;
+    if (trace) this.#enableTracing();
+  }
+
+  /**
+   * Bit position in `data` where the data ends: the end of the initial
+   * contents, extended by anything written past them.
+   *
+   * @private
+   * @type {number}
+   */
+  #bitLength = 0;
+
+  /**
+   * Bit position in `data` where a view starts; 0 for other buffers.
+   * Positions exposed by the public API are relative to it.
+   *
+   * @private
+   * @type {number}
+   */
+  #bitStart = 0;
+
+  /**
+   * Bit position in `data` that writes and seeks can't go past. Views
+   * share their parent's data, so they can't grow.
+   *
+   * @private
+   * @type {number}
+   */
+  #bitLimit = Infinity;
+
+  /**
+   * Size in bytes that `data` can't grow past.
+   *
+   * @private
+   * @type {number}
+   */
+  #maxSize = Infinity;
+
+  /**
+   * Whether `data` is never reallocated, so that it stays in the memory
+   * the caller supplied.
+   *
+   * @private
+   * @type {boolean}
+   */
+  #fixedSize = false;
+
+  /**
+   * Size in bytes that `clear()` allocates.
+   *
+   * @private
+   * @type {number}
+   */
+  #capacity = 0;
+
+  /**
+   * Applies the capacity options of the constructor.
+   *
+   * @private
+   * @param {number} capacity - Bytes to allocate up front
+   * @param {number} maxSize - Size in bytes the buffer can't grow past
+   * @param {boolean} fixedSize - Whether the allocated bytes are all there is
+   * @param {boolean} inPlace - Whether `data` is caller-supplied memory that can't be replaced
+   * @throws {BufferOverflowError} If the contents are larger than maxSize
+   * @throws {RangeError} If a size is invalid
+   */
+  #setCapacity(capacity, maxSize, fixedSize, inPlace) {
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      throw new RangeError("Capacity must be a non-negative integer");
+    }
+    if (maxSize !== Infinity && (!Number.isInteger(maxSize) || maxSize < 0)) {
+      throw new RangeError("Maximum size must be a non-negative integer");
+    }
+    if (capacity > maxSize) {
+      throw new RangeError(
+        `Capacity of ${capacity} bytes exceeds the maximum size of ${maxSize}`,
+      );
+    }
+
+    if (capacity > this.data.length) {
+      // Copying would move writes out of the caller's memory
+      if (inPlace) {
+        throw new RangeError(
+          `Capacity of ${capacity} bytes exceeds the ${this.data.length} bytes of the supplied memory`,
+        );
+      }
+      const data = new Uint8Array(capacity);
+      data.set(this.data);
+      this.data = data;
+    }
+    if (fixedSize) maxSize = Math.min(maxSize, this.data.length);
+    if (this.#bitLength > maxSize * 8) {
+      throw new BufferOverflowError(undefined, {
+        bitOffset: 0,
+        bitCount: this.#bitLength,
+        available: maxSize * 8,
+      });
+    }
+
+    this.#capacity = Math.min(capacity, maxSize);
+    this.#maxSize = maxSize;
+    this.#fixedSize = fixedSize;
+    this.#bitLimit = maxSize * 8;
+  }
+
+  /**
+   * The current position in bits from the start of `data`.
+   *
+   * @private
+   * @type {number}
+   */
+  get #bitIndex() {
+    return this.position * 8 - this.remainingBits;
+  }
+
+  /**
+   * DataView over `data`, for byte-aligned multi-byte values.
+   *
+   * @private
+   * @type {DataView|null}
+   */
+  #view = null;
+
+  /**
+   * The array `#view` was created for.
+   *
+   * @private
+   * @type {Uint8Array|null}
+   */
+  #viewData = null;
+
+  /**
+   * Returns a DataView over `data`, recreating it if `data` was replaced.
+   *
+   * @private
+   * @returns {DataView} The view
+   */
+  #dataView() {
+    if (this.#viewData !== this.data) {
+      this.#viewData = this.data;
+      this.#view = new DataView(
+        this.data.buffer,
+        this.data.byteOffset,
+        this.data.byteLength,
+      );
+    }
+    return this.#view;
+  }
+
+  /**
+   * Checks whether a value of the given width can go through DataView:
+   * a whole 16-, 32- or 64-bit value starting on a byte boundary, whose
+   * bytes are then whole bytes of `data` in either bit order.
+   *
+   * @private
+   * @param {number} bitCount - Width of the value
+   * @returns {boolean} True if the fast path applies
+   */
+  #isWordAligned(bitCount) {
+    return (
+      this.remainingBits === 0 &&
+      (bitCount === 16 || bitCount === 32 || bitCount === 64)
+    );
+  }
+
+  /**
+   * Resolves the byte order of a single operation.
+   *
+   * @private
+   * @param {string} [endian] - 'big' or 'little', or undefined for the buffer's own
+   * @returns {boolean} True for big-endian
+   * @throws {RangeError} If the byte order is unknown
+   */
+  #resolveEndian(endian) {
+    if (endian === undefined) return this.isBigEndian;
+    if (endian !== "big" && endian !== "little") {
+      throw new RangeError(`Unknown byte order: ${endian}`);
+    }
+    return endian === "big";
+  }
+
+  /**
+   * Checks whether a byte order goes against the bit order, so that a
+   * value's bytes don't come in stream order and need swapping:
+   * little-endian values in MSB-first buffers, and big-endian values in
+   * LSB-first buffers.
+   *
+   * @private
+   * @param {boolean} bigEndian - Byte order of the value
+   * @returns {boolean} True if the bytes need swapping
+   */
+  #swapsBytes(bigEndian) {
+    return bigEndian === this.isLsbFirst;
+  }
+
+  /**
+   * Nesting depth of traced operations, so that operations built on
+   * others are recorded once, and peeks not at all.
+   *
+   * @private
+   * @type {number}
+   */
+  #traceDepth = 0;
+
+  /**
+   * Bit position where the current traced operation started.
+   *
+   * @private
+   * @type {number}
+   */
+  #traceStart = 0;
+
+  /**
+   * Label for the next traced operation.
+   *
+   * @private
+   * @type {string|undefined}
+   */
+  #nextLabel;
+
+  /**
+   * Wraps every read and write operation to record it in `trace`.
+   *
+   * @private
+   */
+  #enableTracing() {
+    this.trace = [];
+
+    for (const operation of ["read", "write"]) {
+      const operations = this[operation];
+      for (const [method, fn] of Object.entries(operations)) {
+        operations[method] = (...args) => {
+          if (this.#traceDepth > 0) return fn(...args);
+
+          this.#traceStart = this.bitPosition;
+          const label = this.#nextLabel;
+          this.#nextLabel = undefined;
+
+          this.#traceDepth++;
+          let result;
+          try {
+            result = fn(...args);
+          } finally {
+            this.#traceDepth--;
+          }
+
+          this.trace.push({
+            operation,
+            method,
+            bitOffset: this.#traceStart,
+            width: this.bitPosition - this.#traceStart,
+            value: operation === "read" ? result : args[0],
+            label,
+          });
+          return result;
+        };
+      }
+    }
+  }
+
+  /**
+   * Reads the specified number of bits from the buffer.
+   *
+   * @private
+   * @param {number} bitCount - Number of bits to read (1-32)
+   * @param {boolean} [bigEndian=this.isBigEndian] - Byte order of the value
+   * @returns {number} The read value as an unsigned 32-bit integer
+   * @throws {InvalidBitCountError} If bitCount is invalid
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readBits(bitCount, bigEndian = this.isBigEndian) {
+    if (bitCount <= 0 || bitCount > 32) {
+      throw new InvalidBitCountError("Bit count must be between 1 and 32", {
+        bitOffset: this.bitPosition,
+        bitCount,
+      });
+    }
+
+    if (this.#isWordAligned(bitCount)) {
+      this.#checkUnderrun(bitCount);
+      const view = this.#dataView();
+      const littleEndian = !bigEndian;
+      const value =
+        bitCount === 16
+          ? view.getUint16(this.position, littleEndian)
+          : view.getUint32(this.position, littleEndian);
+      this.position += bitCount / 8;
+      return value;
+    }
+
+    let result = this.#readRawBits(bitCount);
+
+    if (bitCount > 8 && this.#swapsBytes(bigEndian)) {
+      result = swapEndianness(result, bitCount >>> 3, bitCount & 7);
+    }
+
+    return result >>> 0;
+  }
+
+  /**
+   * Reads the specified number of bits from the buffer as a BigInt.
+   *
+   * @private
+   * @param {number} bitCount - Number of bits to read (1-64)
+   * @param {boolean} [bigEndian=this.isBigEndian] - Byte order of the value
+   * @returns {bigint} The read value as an unsigned BigInt
+   * @throws {InvalidBitCountError} If bitCount is invalid
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readBigBits(bitCount, bigEndian = this.isBigEndian) {
+    if (bitCount <= 0 || bitCount > 64) {
+      throw new InvalidBitCountError("Bit count must be between 1 and 64", {
+        bitOffset: this.bitPosition,
+        bitCount,
+      });
+    }
+
+    this.#checkUnderrun(bitCount);
+
+    if (this.#isWordAligned(bitCount) && bitCount === 64) {
+      const value = this.#dataView().getBigUint64(this.position, !bigEndian);
+      this.position += 8;
+      return value;
+    }
+
+    let result = 0n;
+    let bitsObtained = 0;
+
+    // Read in chunks of at most 32 bits, in the same order as single bits
+    while (bitsObtained < bitCount) {
+      const chunk = Math.min(bitCount - bitsObtained, 32);
+      const bits = BigInt(this.#readRawBits(chunk));
+      result = this.isLsbFirst
+        ? result | (bits << BigInt(bitsObtained))
+        : (result << BigInt(chunk)) | bits;
+      bitsObtained += chunk;
+    }
+
+    if (bitCount > 8 && this.#swapsBytes(bigEndian)) {
+      result = swapBigIntEndianness(result, bitCount >>> 3, bitCount & 7);
+    }
+
+    return result;
+  }
+
+  /**
+   * Reads bits in stream order without applying any byte order.
+   *
+   * @private
+   * @param {number} bitCount - Number of bits to read (0-32)
+   * @returns {number} The read value
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readRawBits(bitCount) {
+    // Inlined rather than through #bitIndex, as this is the hot path
+    const start = this.position * 8 - this.remainingBits;
+    if (start + bitCount > this.#bitLength) this.#checkUnderrun(bitCount);
+    if (bitCount === 0) return 0;
+
+    const data = this.data;
+    const index = start >>> 3;
+    const shift = start & 7;
+    let result;
+
+    // Gather only the bytes holding the bits, starting with what is
+    // left of the first one
+    let available = 8 - shift;
+    if (this.isLsbFirst) {
+      result = data[index] >>> shift;
+      for (let i = index + 1; available < bitCount; i++, available += 8) {
+        result |= data[i] << available;
+      }
+      if (bitCount < 32) result &= (1 << bitCount) - 1;
+    } else {
+      result = data[index] & (0xff >>> shift);
+      for (let i = index + 1; available < bitCount; i++, available += 8) {
+        // Another byte on top of 24 bits could overflow int32 shifts
+        result =
+          available > 24 ? result * 256 + data[i] : (result << 8) | data[i];
+      }
+      const excess = available - bitCount;
+      result =
+        result > 0xffffffff
+          ? Math.floor(result / 2 ** excess)
+          : result >>> excess;
+    }
+
+    const end = start + bitCount;
+    this.position = (end + 7) >>> 3;
+    this.remainingBits = this.position * 8 - end;
+    this.currentByte = data[this.position - 1];
+    return result >>> 0;
+  }
+
+  /**
+   * Ensures that the given number of bits can be read from the current position.
+   *
+   * @private
+   * @param {number} bitCount - Number of bits about to be read
+   * @throws {BufferUnderrunError} If fewer bits remain
+   */
+  #checkUnderrun(bitCount) {
+    if (this.position * 8 - this.remainingBits + bitCount > this.#bitLength) {
+      throw new BufferUnderrunError(undefined, {
+        bitOffset: this.bitPosition,
+        bitCount,
+        available: this.#bitLength - this.#bitIndex,
+      });
+    }
+  }
+
+  /**
+   * Makes sure `data` extends to the given bit position, growing it if
+   * needed.
+   *
+   * @private
+   * @param {number} end - Bit position in `data` about to be written or sought to
+   * @throws {BufferOverflowError} If the position is past the end of a view
+   */
+  #ensureCapacity(end) {
+    if (end > this.#bitLimit) {
+      throw new BufferOverflowError(undefined, {
+        bitOffset: this.bitPosition,
+        bitCount: end - this.#bitIndex,
+        available: this.#bitLimit - this.#bitIndex,
+      });
+    }
+    if (end > this.data.length * 8) this.#resize(Math.ceil(end / 8));
+  }
+
+  /**
+   * Writes the specified number of bits to the buffer.
+   *
+   * @private
+   * @param {number} value - Value to write
+   * @param {number} bitCount - Number of bits to write (1-32)
+   * @param {boolean} [bigEndian=this.isBigEndian] - Byte order of the value
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {InvalidBitCountError} If bitCount is invalid
+   */
+  #writeBits(value, bitCount, bigEndian = this.isBigEndian) {
+    if (bitCount <= 0 || bitCount > 32) {
+      throw new InvalidBitCountError("Bit count must be between 1 and 32", {
+        bitOffset: this.bitPosition,
+        bitCount,
+      });
+    }
+
+    if (this.#isWordAligned(bitCount)) {
+      const view = this.#reserveWord(bitCount);
+      if (bitCount === 16) {
+        view.setUint16(this.position, value, !bigEndian);
+      } else {
+        view.setUint32(this.position, value, !bigEndian);
+      }
+      return this.#advanceWord(bitCount);
+    }
+
+    if (bitCount > 8 && this.#swapsBytes(bigEndian)) {
+      value = unswapEndianness(value, bitCount >>> 3, bitCount & 7);
+    }
+
+    return this.#writeRawBits(value >>> 0, bitCount);
+  }
+
+  /**
+   * Writes the specified number of bits from a BigInt to the buffer.
+   *
+   * @private
+   * @param {bigint} value - Value to write
+   * @param {number} bitCount - Number of bits to write (1-64)
+   * @param {boolean} [bigEndian=this.isBigEndian] - Byte order of the value
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {InvalidBitCountError} If bitCount is invalid
+   */
+  #writeBigBits(value, bitCount, bigEndian = this.isBigEndian) {
+    if (bitCount <= 0 || bitCount > 64) {
+      throw new InvalidBitCountError("Bit count must be between 1 and 64", {
+        bitOffset: this.bitPosition,
+        bitCount,
+      });
+    }
+
+    value = BigInt.asUintN(bitCount, BigInt(value));
+
+    if (this.#isWordAligned(bitCount) && bitCount === 64) {
+      const view = this.#reserveWord(bitCount);
+      view.setBigUint64(this.position, value, !bigEndian);
+      return this.#advanceWord(bitCount);
+    }
+
+    if (bitCount > 8 && this.#swapsBytes(bigEndian)) {
+      value = unswapBigIntEndianness(value, bitCount >>> 3, bitCount & 7);
+    }
+
+    // Write in chunks of at most 32 bits, in the same order as single bits
+    let bitsWritten = 0;
+    while (bitsWritten < bitCount) {
+      const chunk = Math.min(bitCount - bitsWritten, 32);
+      const shift = this.isLsbFirst
+        ? bitsWritten
+        : bitCount - bitsWritten - chunk;
+      this.#writeRawBits(
+        Number(BigInt.asUintN(chunk, value >> BigInt(shift))),
+        chunk,
+      );
+      bitsWritten += chunk;
+    }
+
+    return this;
+  }
+
+  /**
+   * Makes room for a word written at the current byte position.
+   *
+   * @private
+   * @param {number} bitCount - Width of the word
+   * @returns {DataView} View to write the word through
+   */
+  #reserveWord(bitCount) {
+    const end = this.position * 8 + bitCount;
+    if (end > this.data.length * 8 || end > this.#bitLimit) {
+      this.#ensureCapacity(end);
+    }
+    return this.#dataView();
+  }
+
+  /**
+   * Moves past a word written at the current byte position.
+   *
+   * @private
+   * @param {number} bitCount - Width of the word
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  #advanceWord(bitCount) {
+    this.position += bitCount / 8;
+    this.#bitLength = Math.max(this.#bitLength, this.position * 8);
+    return this;
+  }
+
+  /**
+   * Writes bits in stream order without applying any byte order. Only
+   * the written bits change: the rest of each byte keeps its contents,
+   * so fields can be rewritten in place.
+   *
+   * @private
+   * @param {number} value - Value to write
+   * @param {number} bitCount - Number of bits to write (1-32)
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  #writeRawBits(value, bitCount) {
+    const end = this.position * 8 - this.remainingBits + bitCount;
+    if (end > this.data.length * 8 || end > this.#bitLimit) {
+      this.#ensureCapacity(end);
+    }
+
+    const data = this.data;
+    let { position, currentByte, remainingBits } = this;
+    let bitsWritten = 0;
+
+    while (bitsWritten < bitCount) {
+      if (remainingBits === 0) {
+        position++;
+        currentByte = data[position - 1];
+        remainingBits = 8;
+      }
+
+      const bitsToWrite = Math.min(bitCount - bitsWritten, remainingBits);
+      const mask = (1 << bitsToWrite) - 1;
+      let bits, shift;
+
+      if (this.isLsbFirst) {
+        // Take the lowest pending bits and fill the byte from its low end
+        bits = (value >>> bitsWritten) & mask;
+        shift = 8 - remainingBits;
+      } else {
+        // Take the highest pending bits and fill the byte from its high end
+        bits = (value >>> (bitCount - bitsWritten - bitsToWrite)) & mask;
+        shift = remainingBits - bitsToWrite;
+      }
+      currentByte = (currentByte & ~(mask << shift)) | (bits << shift);
+
+      // Write through so the byte at `position - 1` always mirrors
+      // `currentByte`, exactly as it does while reading
+      data[position - 1] = currentByte;
+      remainingBits -= bitsToWrite;
+      bitsWritten += bitsToWrite;
+    }
+
+    this.position = position;
+    this.currentByte = currentByte;
+    this.remainingBits = remainingBits;
+    this.#bitLength = Math.max(this.#bitLength, end);
+    return this;
+  }
+
+  /**
+   * Reads a LEB128 variable-length integer (as used by protobuf and WebAssembly).
+   *
+   * @private
+   * @param {boolean} signed - Whether to sign-extend the result (SLEB128)
+   * @param {number} maxBytes - Maximum number of bytes to consume
+   * @returns {bigint} The decoded value
+   * @throws {InvalidEncodingError} If the encoding is longer than maxBytes
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readLeb128(signed, maxBytes) {
+    const start = this.bitPosition;
+    let result = 0n;
+    let shift = 0n;
+
+    for (let i = 0; i < maxBytes; i++) {
+      const byte = this.#readBits(8);
+      result |= BigInt(byte & 0x7f) << shift;
+      shift += 7n;
+
+      if ((byte & 0x80) === 0) {
+        return signed && byte & 0x40 ? result - (1n << shift) : result;
+      }
+    }
+
+    throw new InvalidEncodingError(
+      `Varint exceeds maximum length of ${maxBytes} bytes`,
+      { bitOffset: start },
+    );
+  }
+
+  /**
+   * Converts an integer to a BigInt for a variable-length encoding.
+   *
+   * @private
+   * @param {bigint|number} value - Integer value to convert
+   * @param {string} format - Name of the encoding, for errors
+   * @returns {bigint} The value as a BigInt
+   * @throws {ValueOutOfRangeError} If the value is not an integer
+   */
+  #toBigInteger(value, format) {
+    if (typeof value !== "bigint" && !Number.isInteger(value)) {
+      throw new ValueOutOfRangeError(
+        `Cannot write a non-integer value as ${format}`,
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+    return BigInt(value);
+  }
+
+  /**
+   * Writes a LEB128 variable-length integer (as used by protobuf and WebAssembly).
+   *
+   * @private
+   * @param {bigint|number} value - Integer value to write
+   * @param {boolean} signed - Whether to use the signed encoding (SLEB128)
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value is not an integer, or an unsigned value is negative
+   */
+  #writeLeb128(value, signed) {
+    if (!signed && value < 0) {
+      throw new ValueOutOfRangeError(
+        "Cannot write a negative value as unsigned varint",
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+    value = this.#toBigInteger(value, "varint");
+
+    while (true) {
+      const byte = Number(value & 0x7fn);
+      value >>= 7n;
+
+      const done = signed
+        ? (value === 0n && !(byte & 0x40)) || (value === -1n && byte & 0x40)
+        : value === 0n;
+      if (done) return this.#writeBits(byte, 8);
+
+      this.#writeBits(byte | 0x80, 8);
+    }
+  }
+
+  /**
+   * Reads a big-endian variable-length quantity (as used by MIDI files).
+   *
+   * @private
+   * @param {number} maxBytes - Maximum number of bytes to consume
+   * @returns {bigint} The decoded value
+   * @throws {InvalidEncodingError} If the encoding is longer than maxBytes
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readVlq(maxBytes) {
+    const start = this.bitPosition;
+    let result = 0n;
+
+    for (let i = 0; i < maxBytes; i++) {
+      const byte = this.#readBits(8);
+      result = (result << 7n) | BigInt(byte & 0x7f);
+      if ((byte & 0x80) === 0) return result;
+    }
+
+    throw new InvalidEncodingError(
+      `VLQ exceeds maximum length of ${maxBytes} bytes`,
+      { bitOffset: start },
+    );
+  }
+
+  /**
+   * Writes a big-endian variable-length quantity (as used by MIDI files).
+   *
+   * @private
+   * @param {bigint|number} value - Non-negative integer value to write
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value is negative or not an integer
+   */
+  #writeVlq(value) {
+    if (value < 0) {
+      throw new ValueOutOfRangeError(
+        "Cannot write a negative value as VLQ",
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+    value = this.#toBigInteger(value, "VLQ");
+
+    // Collect 7-bit groups least significant first, then emit them reversed
+    const groups = [];
+    do {
+      groups.push(Number(value & 0x7fn));
+      value >>= 7n;
+    } while (value > 0n);
+
+    for (let i = groups.length - 1; i > 0; i--) {
+      this.#writeBits(groups[i] | 0x80, 8);
+    }
+    return this.#writeBits(groups[0], 8);
+  }
+
+  /**
+   * Reads a run of one bits terminated by a zero bit.
+   *
+   * @private
+   * @returns {number} The number of one bits read
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readUnary() {
+    let count = 0;
+    while (this.#readRawBits(1) === 1) count++;
+    return count;
+  }
+
+  /**
+   * Writes a run of one bits terminated by a zero bit.
+   *
+   * @private
+   * @param {number} count - Number of one bits to write
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  #writeUnary(count) {
+    for (; count >= 32; count -= 32) this.#writeRawBits(0xffffffff, 32);
+    return this.#writeRawBits(((2 ** count - 1) * 2) >>> 0, count + 1);
+  }
+
+  /**
+   * Reads an unsigned Exp-Golomb code, `ue(v)` in H.264/HEVC.
+   *
+   * @private
+   * @returns {number} The decoded value
+   * @throws {InvalidEncodingError} If the code has more than 32 leading zero bits
+   * @throws {BufferUnderrunError} If buffer underruns
+   */
+  #readExpGolomb() {
+    const start = this.bitPosition;
+    let leadingZeros = 0;
+    while (this.#readRawBits(1) === 0) {
+      if (++leadingZeros > 32) {
+        throw new InvalidEncodingError(
+          "Exp-Golomb code exceeds 32 leading zero bits",
+          { bitOffset: start },
+        );
+      }
+    }
+    return 2 ** leadingZeros - 1 + this.#readRawBits(leadingZeros);
+  }
+
+  /**
+   * Writes an unsigned Exp-Golomb code, `ue(v)` in H.264/HEVC.
+   *
+   * @private
+   * @param {number} value - Integer between 0 and 2^33 - 2
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value is out of range
+   */
+  #writeExpGolomb(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 2 ** 33 - 2) {
+      throw new ValueOutOfRangeError(
+        "Exp-Golomb value must be between 0 and 2^33 - 2",
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+
+    const codeNum = value + 1;
+    let leadingZeros = 0;
+    while (2 ** (leadingZeros + 1) <= codeNum) leadingZeros++;
+
+    this.#writeRawBits(0, leadingZeros);
+    this.#writeRawBits(1, 1);
+    return this.#writeRawBits(codeNum - 2 ** leadingZeros, leadingZeros);
+  }
+
+  /**
+   * Reads a Golomb code with divisor m: a unary quotient followed by
+   * a truncated binary remainder.
+   *
+   * @private
+   * @param {number} m - Divisor (positive integer)
+   * @returns {number} The decoded value
+   * @throws {RangeError} If m is invalid or buffer underruns
+   */
+  #readGolomb(m) {
+    if (!Number.isInteger(m) || m < 1 || m > 2 ** 32) {
+      throw new RangeError("Golomb divisor must be between 1 and 2^32");
+    }
+
+    const quotient = this.#readUnary();
+    let bits = 0;
+    while (2 ** bits < m) bits++;
+    if (bits === 0) return quotient;
+
+    // Remainders below the cutoff use one bit fewer
+    const cutoff = 2 ** bits - m;
+    let remainder = this.#readRawBits(bits - 1);
+    if (remainder >= cutoff) {
+      remainder = remainder * 2 + this.#readRawBits(1) - cutoff;
+    }
+
+    return quotient * m + remainder;
+  }
+
+  /**
+   * Writes a Golomb code with divisor m: a unary quotient followed by
+   * a truncated binary remainder.
+   *
+   * @private
+   * @param {number} value - Non-negative integer to write
+   * @param {number} m - Divisor (positive integer)
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If m is invalid
+   * @throws {ValueOutOfRangeError} If the value is negative
+   */
+  #writeGolomb(value, m) {
+    if (!Number.isInteger(m) || m < 1 || m > 2 ** 32) {
+      throw new RangeError("Golomb divisor must be between 1 and 2^32");
+    }
+    if (!Number.isSafeInteger(value) || value < 0) {
+      throw new ValueOutOfRangeError(
+        "Golomb value must be a non-negative integer",
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+
+    const remainder = value % m;
+    this.#writeUnary((value - remainder) / m);
+
+    let bits = 0;
+    while (2 ** bits < m) bits++;
+    if (bits === 0) return this;
+
+    const cutoff = 2 ** bits - m;
+    return remainder < cutoff
+      ? this.#writeRawBits(remainder, bits - 1)
+      : this.#writeRawBits(remainder + cutoff, bits);
+  }
+
+  /**
+   * Reads a BigInt and converts it to a number.
+   *
+   * @private
+   * @param {function(): bigint} read - Reads the value
+   * @returns {number} The value
+   * @throws {InvalidEncodingError} If the value is outside the safe integer range
+   */
+  #readSafeNumber(read) {
+    const bitOffset = this.bitPosition;
+    const value = read();
+    try {
+      return toSafeNumber(value);
+    } catch (error) {
+      throw new InvalidEncodingError(error.message, { bitOffset });
+    }
+  }
+
+  /**
+   * Reads a length prefix.
+   *
+   * @private
+   * @param {number|string} prefix - Prefix width in bits (1-32), or 'varint'
+   * @returns {number} The length
+   * @throws {RangeError} If the prefix is invalid or buffer underruns
+   */
+  #readLength(prefix) {
+    if (prefix === "varint") {
+      return this.#readSafeNumber(() =>
+        this.#readLeb128(false, kDefaultMaxVarintBytes),
+      );
+    }
+    if (!Number.isInteger(prefix)) {
+      throw new RangeError(`Invalid length prefix: ${prefix}`);
+    }
+    return this.#readBits(prefix);
+  }
+
+  /**
+   * Writes a length prefix.
+   *
+   * @private
+   * @param {number} length - Length to write
+   * @param {number|string} prefix - Prefix width in bits (1-32), or 'varint'
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the length doesn't fit in the prefix
+   */
+  #writeLength(length, prefix) {
+    if (prefix === "varint") return this.#writeLeb128(length, false);
+    if (!Number.isInteger(prefix)) {
+      throw new RangeError(`Invalid length prefix: ${prefix}`);
+    }
+    if (length >= 2 ** prefix) {
+      throw new ValueOutOfRangeError(
+        `Length ${length} does not fit in a ${prefix}-bit prefix`,
+        length,
+        { bitOffset: this.bitPosition, bitCount: prefix },
+      );
+    }
+    return this.#writeBits(length, prefix);
+  }
+
+  /**
+   * Reads an array of packed integers.
+   *
+   * @private
+   * @param {number} count - Number of values
+   * @param {number} bitCount - Bits per value (1-32)
+   * @param {Object} options - Array options
+   * @param {boolean} options.signed - Whether values are two's complement
+   * @param {Function} options.type - Array or TypedArray constructor for the result
+   * @returns {number[]|TypedArray} The values
+   */
+  #readArray(count, bitCount, { signed, type }) {
+    this.#checkUnderrun(count * bitCount);
+    const values = new type(count);
+    for (let i = 0; i < count; i++) {
+      values[i] = signed ? this.read.int(bitCount) : this.#readBits(bitCount);
+    }
+    return values;
+  }
+
+  /**
+   * Writes an array of packed integers.
+   *
+   * @private
+   * @param {ArrayLike<number>} values - Values to write
+   * @param {number} bitCount - Bits per value (1-32)
+   * @param {boolean} signed - Whether values are two's complement
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  #writeArray(values, bitCount, signed) {
+    for (let i = 0; i < values.length; i++) {
+      if (signed) this.write.int(values[i], bitCount);
+      else this.#writeBits(values[i], bitCount);
+    }
+    return this;
+  }
+
+  /**
+   * Writes a number as a fixed-point value.
+   *
+   * @private
+   * @param {number} value - Value to write
+   * @param {number} intBits - Number of integer bits, including any sign bit
+   * @param {number} fracBits - Number of fractional bits
+   * @param {Object} options - Fixed-point options
+   * @param {boolean} options.signed - Whether the value is two's complement
+   * @param {string} options.rounding - Rounding mode for the fractional part
+   * @param {string} options.overflow - 'error' or 'saturate'
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value is out of range and overflow is 'error'
+   */
+  #writeFixed(value, intBits, fracBits, { signed, rounding, overflow }) {
+    const bitCount = intBits + fracBits;
+    if (overflow !== "error" && overflow !== "saturate") {
+      throw new RangeError(`Unknown overflow mode: ${overflow}`);
+    }
+    if (Number.isNaN(value)) {
+      throw new ValueOutOfRangeError(
+        "Cannot write NaN as a fixed-point value",
+        value,
+        { bitOffset: this.bitPosition, bitCount },
+      );
+    }
+
+    const min = signed ? -(2 ** (bitCount - 1)) : 0;
+    const max = (signed ? 2 ** (bitCount - 1) : 2 ** bitCount) - 1;
+    let scaled = roundToInteger(value * 2 ** fracBits, rounding);
+
+    if (scaled < min || scaled > max) {
+      if (overflow === "error") {
+        const format = `${signed ? "Q" : "UQ"}${intBits}.${fracBits}`;
+        throw new ValueOutOfRangeError(
+          `Value ${value} is out of range for ${format}`,
+          value,
+          { bitOffset: this.bitPosition, bitCount },
+        );
+      }
+      scaled = Math.min(Math.max(scaled, min), max);
+    }
+
+    if (scaled < 0) scaled += 2 ** bitCount;
+    return this.#writeBits(scaled, bitCount);
+  }
+
+  /**
+   * Reads a code and looks up its name in an enum mapping.
+   *
+   * @private
+   * @param {number} bitCount - Width of the code (1-32)
+   * @param {Array<string>|Object<string, number>} mapping - Names indexed by code, or codes keyed by name
+   * @param {Object} options - Enum options
+   * @param {string} options.unknown - What to do with unknown codes: 'error', 'passthrough' or 'default'
+   * @param {*} options.defaultValue - Value returned for unknown codes in 'default' mode
+   * @returns {*} The name, or for unknown codes the code or default value
+   * @throws {InvalidEncodingError} If the code is unknown in 'error' mode
+   */
+  #readEnum(bitCount, mapping, { unknown, defaultValue }) {
+    if (!kEnumModes.includes(unknown)) {
+      throw new RangeError(`Unknown enum mode: ${unknown}`);
+    }
+
+    const start = this.bitPosition;
+    const code = this.#readBits(bitCount);
+    const name = Array.isArray(mapping)
+      ? mapping[code]
+      : Object.keys(mapping).find((key) => mapping[key] === code);
+    if (name != null) return name;
+
+    if (unknown === "passthrough") return code;
+    if (unknown === "default") return defaultValue;
+    throw new InvalidEncodingError(`Unknown enum code ${code}`, {
+      bitOffset: start,
+      bitCount,
+    });
+  }
+
+  /**
+   * Looks up the code of a name in an enum mapping and writes it.
+   *
+   * @private
+   * @param {string} value - Name to write
+   * @param {number} bitCount - Width of the code (1-32)
+   * @param {Array<string>|Object<string, number>} mapping - Names indexed by code, or codes keyed by name
+   * @param {Object} options - Enum options
+   * @param {string} options.unknown - What to do with unknown names: 'error', 'passthrough' or 'default'
+   * @param {string} options.defaultValue - Name written instead of unknown ones in 'default' mode
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value is unknown, or its code doesn't fit in bitCount bits
+   */
+  #writeEnum(value, bitCount, mapping, { unknown, defaultValue }) {
+    if (!kEnumModes.includes(unknown)) {
+      throw new RangeError(`Unknown enum mode: ${unknown}`);
+    }
+
+    const codeOf = (name) => {
+      if (Array.isArray(mapping)) return mapping.indexOf(name);
+      return Object.hasOwn(mapping, name) ? mapping[name] : -1;
+    };
+    let code = codeOf(value);
+    if (code === -1 && unknown === "passthrough" && Number.isInteger(value)) {
+      code = value;
+    } else if (code === -1 && unknown === "default") {
+      code = codeOf(defaultValue);
+    }
+
+    if (code === -1) {
+      throw new ValueOutOfRangeError(
+        `Unknown enum value: ${String(value)}`,
+        value,
+        { bitOffset: this.bitPosition, bitCount },
+      );
+    }
+    // A truncated code would read back as another name
+    if (!Number.isInteger(code) || code < 0 || code >= 2 ** bitCount) {
+      throw new ValueOutOfRangeError(
+        `Enum code ${code} of ${String(value)} does not fit in ${bitCount} bits`,
+        value,
+        { bitOffset: this.bitPosition, bitCount },
+      );
+    }
+    return this.#writeBits(code, bitCount);
+  }
+
+  /**
+   * Checks that a fixed-width string field holds whole code units, so
+   * that UTF-16 fields have an even length.
+   *
+   * @private
+   * @param {number} length - Length of the field in bytes
+   * @param {string} encoding - Encoding of the string
+   * @throws {RangeError} If the length isn't a whole number of code units
+   */
+  #checkFixedLength(length, encoding) {
+    const unitSize = codeUnitSize(encoding);
+    if (length % unitSize !== 0) {
+      throw new RangeError(
+        `Length of a ${encoding} field must be a multiple of ${unitSize} bytes`,
+      );
+    }
+  }
+
+  /**
+   * Checks the number of digits of a BCD number, which is limited to the
+   * digits a safe integer always has.
+   *
+   * @private
+   * @param {number} digits - Number of decimal digits
+   * @throws {RangeError} If the number of digits is invalid
+   */
+  #checkBcdDigits(digits) {
+    if (!Number.isInteger(digits) || digits < 1 || digits > 15) {
+      throw new RangeError("BCD digit count must be between 1 and 15");
+    }
+  }
+
+  /**
+   * Reads a binary-coded decimal number, most significant digit first.
+   *
+   * @private
+   * @param {number} digits - Number of decimal digits (1-15)
+   * @param {boolean} packed - Whether digits take 4 bits, rather than a byte each
+   * @returns {number} The number
+   * @throws {InvalidEncodingError} If a digit is above 9
+   */
+  #readBcd(digits, packed) {
+    this.#checkBcdDigits(digits);
+    const width = packed ? 4 : 8;
+    let value = 0;
+    for (let i = 0; i < digits; i++) {
+      const start = this.bitPosition;
+      const digit = this.#readBits(width);
+      if (digit > 9) {
+        throw new InvalidEncodingError(
+          `Invalid BCD digit 0x${digit.toString(16)}`,
+          {
+            bitOffset: start,
+            bitCount: width,
+          },
+        );
+      }
+      value = value * 10 + digit;
+    }
+    return value;
+  }
+
+  /**
+   * Writes a number as binary-coded decimal, most significant digit first.
+   *
+   * @private
+   * @param {number} value - Non-negative integer to write
+   * @param {number} digits - Number of decimal digits (1-15)
+   * @param {boolean} packed - Whether digits take 4 bits, rather than a byte each
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value doesn't fit in the digits
+   */
+  #writeBcd(value, digits, packed) {
+    this.#checkBcdDigits(digits);
+    if (!Number.isInteger(value) || value < 0 || value >= 10 ** digits) {
+      throw new ValueOutOfRangeError(
+        `Value ${value} does not fit in ${digits} BCD digits`,
+        value,
+        { bitOffset: this.bitPosition },
+      );
+    }
+    for (const digit of String(value).padStart(digits, "0")) {
+      this.#writeBits(Number(digit), packed ? 4 : 8);
+    }
+    return this;
+  }
+
+  /**
+   * Reads an integer whose negative values have their own encoding of
+   * the magnitude: sign-magnitude or ones' complement. The negative zero
+   * of both is read as -0, or as 0n past 32 bits.
+   *
+   * @private
+   * @param {number} bitCount - Width of the integer, sign bit included (1-64)
+   * @param {boolean} bigEndian - Byte order of the integer
+   * @param {boolean} signMagnitude - Sign-magnitude if true, ones' complement otherwise
+   * @returns {number|bigint} The integer, as a BigInt past 32 bits
+   */
+  #readSymmetric(bitCount, bigEndian, signMagnitude) {
+    if (bitCount > 32) {
+      const value = this.#readBigBits(bitCount, bigEndian);
+      const signBit = 1n << BigInt(bitCount - 1);
+      if (value < signBit) return value;
+      return signMagnitude
+        ? -(value - signBit)
+        : -((signBit << 1n) - 1n - value);
+    }
+
+    const value = this.#readBits(bitCount, bigEndian);
+    const signBit = 2 ** (bitCount - 1);
+    if (value < signBit) return value;
+    return signMagnitude ? -(value - signBit) : -(2 ** bitCount - 1 - value);
+  }
+
+  /**
+   * Writes an integer as sign-magnitude or ones' complement. Writing -0
+   * sets the sign bit.
+   *
+   * @private
+   * @param {number|bigint} value - Integer to write; a BigInt only past 32 bits
+   * @param {number} bitCount - Width of the integer, sign bit included (1-64)
+   * @param {boolean} bigEndian - Byte order of the integer
+   * @param {boolean} signMagnitude - Sign-magnitude if true, ones' complement otherwise
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {ValueOutOfRangeError} If the value doesn't fit in bitCount bits
+   */
+  #writeSymmetric(value, bitCount, bigEndian, signMagnitude) {
+    const wide = bitCount > 32;
+    const valid = typeof value === "bigint" ? wide : Number.isInteger(value);
+    const signBit = wide ? 1n << BigInt(bitCount - 1) : 2 ** (bitCount - 1);
+    const magnitude = valid && (wide ? BigInt(value) : value);
+    if (!valid || (magnitude < 0 ? -magnitude : magnitude) >= signBit) {
+      const format = signMagnitude ? "sign-magnitude" : "ones' complement";
+      throw new ValueOutOfRangeError(
+        `Value ${value} is out of range for ${bitCount}-bit ${format}`,
+        value,
+        { bitOffset: this.bitPosition, bitCount },
+      );
+    }
+
+    if (wide) {
+      let bits = magnitude;
+      if (bits < 0n || Object.is(value, -0)) {
+        bits = signMagnitude ? signBit - bits : (signBit << 1n) - 1n + bits;
+      }
+      return this.#writeBigBits(bits, bitCount, bigEndian);
+    }
+
+    if (value < 0 || Object.is(value, -0)) {
+      value = signMagnitude ? signBit - value : 2 ** bitCount - 1 + value;
+    }
+    return this.#writeBits(value, bitCount, bigEndian);
+  }
+
+  /**
+   * Returns a view that doesn't share memory with this buffer: the view
+   * itself, or a copy of its bits if it does. Bits are copied a chunk at
+   * a time, so a source overlapping the target would be overwritten
+   * before it is read.
+   *
+   * @private
+   * @param {BitPackedBuffer} source - View over the bits to copy from
+   * @returns {BitPackedBuffer} A view over the same bits
+   */
+  #unshared(source) {
+    if (source.data.buffer !== this.data.buffer) return source;
+    const copy = new BitPackedBuffer(
+      source.data.slice(0, Math.ceil(source.#bitLength / 8)),
+      { bitOrder: source.isLsbFirst ? "lsb" : "msb" },
+    );
+    return copy.slice(source.#bitStart, source.bitLength);
+  }
+
+  /**
+   * Writes all the bits of a view at the current position, in stream
+   * order, converting between bit orders if they differ.
+   *
+   * @private
+   * @param {BitPackedBuffer} source - View over the bits to write
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  #writeBuffer(source) {
+    source = this.#unshared(source);
+    const { bitLength } = source;
+    const reverse = source.isLsbFirst !== this.isLsbFirst;
+
+    // Whole bytes at once when both sides are byte-aligned
+    let done = 0;
+    if (!reverse && this.remainingBits === 0 && source.#bitStart === 0) {
+      done = bitLength - (bitLength % 8);
+      this.write.bytes(source.data.subarray(0, done / 8));
+    }
+
+    source.seekBit(done);
+    for (; done < bitLength; done += 32) {
+      const width = Math.min(bitLength - done, 32);
+      const bits = source.#readRawBits(width);
+      this.#writeRawBits(reverse ? reverseBits(bits, width) : bits, width);
+    }
+    return this;
+  }
+
+  /**
+   * Resizes the internal buffer to accommodate more data.
+   *
+   * @private
+   * @param {number} size - Minimum size needed
+   */
+  #resize(size) {
+    const newData = new Uint8Array(
+      Math.min(
+        Math.max(size, this.data.length * 2, kMinCapacity),
+        this.#maxSize,
+      ),
+    );
+    newData.set(this.data);
+    this.data = newData;
+  }
+
+  /**
+   * Aligns the read/write position to the next byte boundary.
+   * Any partially consumed byte is skipped; partially written bits
+   * are already stored in the buffer.
+   *
+   * @param {boolean} [last=false] - Ignored; partially written bits no longer need flushing
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  alignToByte(last = false) {
+    // A traced operation that aligns before its first bit starts at the boundary
+    const atTraceStart =
+      this.#traceDepth > 0 && this.bitPosition === this.#traceStart;
+    this.remainingBits = 0;
+    this.currentByte = 0;
+    if (atTraceStart) this.#traceStart = this.bitPosition;
+    return this;
+  }
+
+  /**
+   * Reading operations interface
+   * @typedef ReadOperations
+   * @type {Object}
+   * @property {function(number): number} bits - Read specified number of bits
+   * @property {function(number): Uint8Array} bytes - Read specified number of bytes
+   * @property {function(number, string=): string} string - Read fixed-length string in an encoding
+   * @property {function(string=): string} cString - Read null-terminated string (two-byte NUL for UTF-16)
+   * @property {function(number, Object=): string} fixedString - Read padded fixed-width string, trimming the padding
+   * @property {function(Object=): Uint8Array} prefixedBytes - Read length-prefixed bytes
+   * @property {function(Object=): string} prefixedString - Read length-prefixed string
+   * @property {function(number, number, Object=): number[]|TypedArray} array - Read packed integer array
+   * @property {function(number, Object=): number[]|TypedArray} prefixedArray - Read length-prefixed packed integer array
+   * @property {function(number, Object=): number} int - Read signed integer of specified bits, optionally with its own `endian`
+   * @property {function(number, Object=): number} uint - Read unsigned integer of specified bits, optionally with its own `endian`
+   * @property {function(number, Object=): bigint} bigInt - Read signed BigInt of specified bits (1-64)
+   * @property {function(number, Object=): bigint} bigUint - Read unsigned BigInt of specified bits (1-64)
+   * @property {function(Object=): number} float16 - Read IEEE 754 half-precision float
+   * @property {function(Object=): number} float32 - Read IEEE 754 single-precision float
+   * @property {function(Object=): number} float64 - Read IEEE 754 double-precision float
+   * @property {function(number, number, Object=): number} fixed - Read fixed-point number (Q format)
+   * @property {function(Array<string|null>): Object<string, boolean>} flags - Read named single-bit flags
+   * @property {function(number, Array|Object, Object=): *} enum - Read a code and map it to a name
+   * @property {function(number, Object=): number} bcd - Read BCD number of specified digits, packed or not
+   * @property {function(number): (number|bigint)} gray - Read Gray-coded unsigned integer (BigInt past 32 bits)
+   * @property {function(number, Object=): (number|bigint)} signMagnitude - Read sign-magnitude integer (BigInt past 32 bits)
+   * @property {function(number, Object=): (number|bigint)} onesComplement - Read ones' complement integer (BigInt past 32 bits)
+   * @property {function(number): (number|bigint)} bitReversed - Read unsigned integer whose first bit is its least significant (BigInt past 32 bits)
+   * @property {function(Object=): number} varint - Read unsigned LEB128/protobuf varint
+   * @property {function(Object=): number} signedVarint - Read signed LEB128 varint
+   * @property {function(Object=): number} zigzagVarint - Read ZigZag-encoded signed varint
+   * @property {function(Object=): number} vlq - Read big-endian variable-length quantity (MIDI)
+   * @property {function(Object=): bigint} bigVarint - Read unsigned LEB128 varint as BigInt
+   * @property {function(Object=): bigint} bigSignedVarint - Read signed LEB128 varint as BigInt
+   * @property {function(Object=): bigint} bigZigzagVarint - Read ZigZag-encoded varint as BigInt
+   * @property {function(Object=): bigint} bigVlq - Read variable-length quantity as BigInt
+   * @property {function(): number} expGolomb - Read unsigned Exp-Golomb code (ue(v))
+   * @property {function(): number} signedExpGolomb - Read signed Exp-Golomb code (se(v))
+   * @property {function(): number} eliasGamma - Read Elias gamma code
+   * @property {function(): number} eliasDelta - Read Elias delta code
+   * @property {function(number): number} rice - Read Rice code with parameter k
+   * @property {function(number): number} golomb - Read Golomb code with divisor m
+   * @property {function(ChecksumAlgorithm, string, string=): number} checksum - Read and verify a checksum over a marked range
+   *
+   * @type {ReadOperations}
+   */
+  read = {
+    bits: (count) => this.#readBits(count),
+    bytes: (count) => {
+      this.alignToByte();
+      this.#checkUnderrun(count * 8);
+      const result = this.data.slice(this.position, this.position + count);
+      this.position += count;
+      return result;
+    },
+    string: (length, encoding = "utf-8") => {
+      this.alignToByte();
+      const bitOffset = this.bitPosition;
+      return decodeString(this.read.bytes(length), encoding, bitOffset);
+    },
+    cString: (encoding = "utf-8") => {
+      const bitOffset = this.bitPosition;
+      // UTF-16 text ends with a whole NUL code unit
+      const unitSize = codeUnitSize(encoding);
+      const bytes = [];
+      while (true) {
+        let unit = 0;
+        for (let i = 0; i < unitSize; i++) {
+          const byte = this.#readBits(8);
+          bytes.push(byte);
+          unit |= byte;
+        }
+        if (unit === 0) break;
+      }
+      bytes.length -= unitSize;
+      return decodeString(new Uint8Array(bytes), encoding, bitOffset);
+    },
+    fixedString: (
+      length,
+      { encoding = "utf-8", pad = "\0", trim = true } = {},
+    ) => {
+      this.#checkFixedLength(length, encoding);
+      let str = this.read.string(length, encoding);
+      if (trim && pad) {
+        // NULs fill the bytes after the last whole pad character
+        str = str.replace(/\0+$/, "");
+        while (str.endsWith(pad)) str = str.slice(0, -pad.length);
+      }
+      return str;
+    },
+    prefixedBytes: ({ prefix = 8 } = {}) =>
+      this.read.bytes(this.#readLength(prefix)),
+    prefixedString: ({ prefix = 8, encoding = "utf-8" } = {}) =>
+      this.read.string(this.#readLength(prefix), encoding),
+    array: (count, bitCount, { signed = false, type = Array } = {}) =>
+      this.#readArray(count, bitCount, { signed, type }),
+    prefixedArray: (
+      bitCount,
+      { prefix = 8, signed = false, type = Array } = {},
+    ) => this.#readArray(this.#readLength(prefix), bitCount, { signed, type }),
+    int: (bitCount, { endian } = {}) => {
+      const value = this.#readBits(bitCount, this.#resolveEndian(endian));
+      return value >= 2 ** (bitCount - 1) ? value - 2 ** bitCount : value;
+    },
+    uint: (bitCount, { endian } = {}) =>
+      this.#readBits(bitCount, this.#resolveEndian(endian)),
+    bigInt: (bitCount, { endian } = {}) =>
+      BigInt.asIntN(
+        bitCount,
+        this.#readBigBits(bitCount, this.#resolveEndian(endian)),
+      ),
+    bigUint: (bitCount, { endian } = {}) =>
+      this.#readBigBits(bitCount, this.#resolveEndian(endian)),
+    float16: ({ endian } = {}) =>
+      bitsToFloat16(this.#readBits(16, this.#resolveEndian(endian))),
+    float32: ({ endian } = {}) =>
+      bitsToFloat32(this.#readBits(32, this.#resolveEndian(endian))),
+    float64: ({ endian } = {}) =>
+      bitsToFloat64(this.#readBigBits(64, this.#resolveEndian(endian))),
+    fixed: (intBits, fracBits, { signed = true } = {}) => {
+      const bitCount = intBits + fracBits;
+      let value = this.#readBits(bitCount);
+      if (signed && value >= 2 ** (bitCount - 1)) value -= 2 ** bitCount;
+      return value / 2 ** fracBits;
+    },
+    flags: (names) => {
+      const flags = {};
+      for (const name of names) {
+        const bit = this.#readBits(1);
+        // Unnamed entries are reserved bits
+        if (name != null) flags[name] = bit === 1;
+      }
+      return flags;
+    },
+    enum: (bitCount, mapping, { unknown = "error", defaultValue } = {}) =>
+      this.#readEnum(bitCount, mapping, { unknown, defaultValue }),
+    bcd: (digits, { packed = true } = {}) => this.#readBcd(digits, packed),
+    gray: (bitCount) =>
+      bitCount > 32
+        ? grayDecodeBigInt(this.#readBigBits(bitCount))
+        : grayDecode(this.#readBits(bitCount)),
+    signMagnitude: (bitCount, { endian } = {}) =>
+      this.#readSymmetric(bitCount, this.#resolveEndian(endian), true),
+    onesComplement: (bitCount, { endian } = {}) =>
+      this.#readSymmetric(bitCount, this.#resolveEndian(endian), false),
+    // Bits in stream order, whatever the byte order, reversed unless the
+    // stream already carries the least significant bit first
+    bitReversed: (bitCount) => {
+      const wide = bitCount > 32;
+      const value = wide
+        ? this.#readBigBits(bitCount, !this.isLsbFirst)
+        : this.#readBits(bitCount, !this.isLsbFirst);
+      if (this.isLsbFirst) return value;
+      return wide
+        ? reverseBigIntBits(value, bitCount)
+        : reverseBits(value, bitCount);
+    },
+    varint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readSafeNumber(() => this.#readLeb128(false, maxBytes)),
+    signedVarint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readSafeNumber(() => this.#readLeb128(true, maxBytes)),
+    zigzagVarint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readSafeNumber(() =>
+        zigzagDecode(this.#readLeb128(false, maxBytes)),
+      ),
+    vlq: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readSafeNumber(() => this.#readVlq(maxBytes)),
+    bigVarint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readLeb128(false, maxBytes),
+    bigSignedVarint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readLeb128(true, maxBytes),
+    bigZigzagVarint: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      zigzagDecode(this.#readLeb128(false, maxBytes)),
+    bigVlq: ({ maxBytes = kDefaultMaxVarintBytes } = {}) =>
+      this.#readVlq(maxBytes),
+    expGolomb: () => this.#readExpGolomb(),
+    signedExpGolomb: () => {
+      const codeNum = this.#readExpGolomb();
+      if (codeNum === 0) return 0;
+      return codeNum % 2 ? (codeNum + 1) / 2 : -codeNum / 2;
+    },
+    eliasGamma: () => this.#readExpGolomb() + 1,
+    eliasDelta: () => {
+      const start = this.bitPosition;
+      const bits = this.#readExpGolomb();
+      if (bits > 32) {
+        throw new InvalidEncodingError(
+          "Elias delta code exceeds 32 suffix bits",
+          { bitOffset: start },
+        );
+      }
+      return 2 ** bits + this.#readRawBits(bits);
+    },
+    rice: (k) => this.#readGolomb(2 ** k),
+    golomb: (m) => this.#readGolomb(m),
+    checksum: (algorithm, startMark, endMark) => {
+      const expected = this.checksum(algorithm, startMark, endMark);
+      const start = this.bitPosition;
+      const actual = this.#readBits(algorithm.width);
+      if (actual !== expected) {
+        throw new InvalidEncodingError(
+          `${algorithm.name} mismatch: expected 0x${expected.toString(16)}, found 0x${actual.toString(16)}`,
+          { bitOffset: start, bitCount: algorithm.width },
+        );
+      }
+      return actual;
+    },
+  };
+
+  /**
+   * Writing operations interface
+   * @type {Object}
+   * @property {function(number, number): BitPackedBuffer} bits - Write value using specified bits
+   * @property {function(Uint8Array): BitPackedBuffer} bytes - Write byte array
+   * @property {function(string, string=): BitPackedBuffer} string - Write string in an encoding
+   * @property {function(string, string=): BitPackedBuffer} cString - Write null-terminated string (two-byte NUL for UTF-16)
+   * @property {function(string, number, Object=): BitPackedBuffer} fixedString - Write padded fixed-width string
+   * @property {function(Uint8Array, Object=): BitPackedBuffer} prefixedBytes - Write length-prefixed bytes
+   * @property {function(string, Object=): BitPackedBuffer} prefixedString - Write length-prefixed string
+   * @property {function(ArrayLike<number>, number, Object=): BitPackedBuffer} array - Write packed integer array
+   * @property {function(ArrayLike<number>, number, Object=): BitPackedBuffer} prefixedArray - Write length-prefixed packed integer array
+   * @property {function(number, number, Object=): BitPackedBuffer} int - Write signed integer, optionally with its own `endian`
+   * @property {function(number, number, Object=): BitPackedBuffer} uint - Write unsigned integer, optionally with its own `endian`
+   * @property {function(bigint, number, Object=): BitPackedBuffer} bigInt - Write signed BigInt (1-64 bits)
+   * @property {function(bigint, number, Object=): BitPackedBuffer} bigUint - Write unsigned BigInt (1-64 bits)
+   * @property {function(number, Object=): BitPackedBuffer} float16 - Write IEEE 754 half-precision float
+   * @property {function(number, Object=): BitPackedBuffer} float32 - Write IEEE 754 single-precision float
+   * @property {function(number, Object=): BitPackedBuffer} float64 - Write IEEE 754 double-precision float
+   * @property {function(number, number, number, Object=): BitPackedBuffer} fixed - Write fixed-point number (Q format)
+   * @property {function(Object<string, boolean>, Array<string|null>): BitPackedBuffer} flags - Write named single-bit flags
+   * @property {function(string, number, Array|Object, Object=): BitPackedBuffer} enum - Write the code of a name
+   * @property {function(number, number, Object=): BitPackedBuffer} bcd - Write BCD number of specified digits, packed or not
+   * @property {function((number|bigint), number): BitPackedBuffer} gray - Write Gray-coded unsigned integer
+   * @property {function((number|bigint), number, Object=): BitPackedBuffer} signMagnitude - Write sign-magnitude integer
+   * @property {function((number|bigint), number, Object=): BitPackedBuffer} onesComplement - Write ones' complement integer
+   * @property {function((number|bigint), number): BitPackedBuffer} bitReversed - Write unsigned integer least significant bit first
+   * @property {function(BitPackedBuffer, Object=): BitPackedBuffer} buffer - Write the bits of another buffer, without aligning
+   * @property {function(number): BitPackedBuffer} varint - Write unsigned LEB128/protobuf varint
+   * @property {function(number): BitPackedBuffer} signedVarint - Write signed LEB128 varint
+   * @property {function(number): BitPackedBuffer} zigzagVarint - Write ZigZag-encoded signed varint
+   * @property {function(number): BitPackedBuffer} vlq - Write big-endian variable-length quantity (MIDI)
+   * @property {function(bigint): BitPackedBuffer} bigVarint - Write unsigned LEB128 varint from BigInt
+   * @property {function(bigint): BitPackedBuffer} bigSignedVarint - Write signed LEB128 varint from BigInt
+   * @property {function(bigint): BitPackedBuffer} bigZigzagVarint - Write ZigZag-encoded varint from BigInt
+   * @property {function(bigint): BitPackedBuffer} bigVlq - Write variable-length quantity from BigInt
+   * @property {function(number): BitPackedBuffer} expGolomb - Write unsigned Exp-Golomb code (ue(v))
+   * @property {function(number): BitPackedBuffer} signedExpGolomb - Write signed Exp-Golomb code (se(v))
+   * @property {function(number): BitPackedBuffer} eliasGamma - Write Elias gamma code
+   * @property {function(number): BitPackedBuffer} eliasDelta - Write Elias delta code
+   * @property {function(number, number): BitPackedBuffer} rice - Write Rice code with parameter k
+   * @property {function(number, number): BitPackedBuffer} golomb - Write Golomb code with divisor m
+   * @property {function(ChecksumAlgorithm, string, string=): BitPackedBuffer} checksum - Write a checksum over a marked range
+   */
+  write = {
+    bits: (value, count) => this.#writeBits(value, count),
+    bytes: (bytes) => {
+      this.alignToByte();
+      if (!ArrayBuffer.isView(bytes) && !Array.isArray(bytes)) {
+        bytes = Uint8Array.from(bytes);
+      }
+      const end = this.position + bytes.length;
+      this.#ensureCapacity(end * 8);
+      this.data.set(bytes, this.position);
+      this.position = end;
+      this.#bitLength = Math.max(this.#bitLength, end * 8);
+      return this;
+    },
+    string: (str, encoding = "utf-8") => {
+      this.alignToByte();
+      return this.write.bytes(encodeString(str, encoding, this.bitPosition));
+    },
+    cString: (str, encoding = "utf-8") => {
+      this.alignToByte();
+      return this.write.bytes(
+        encodeString(str + "\0", encoding, this.bitPosition),
+      );
+    },
+    fixedString: (
+      str,
+      length,
+      { encoding = "utf-8", pad = "\0", truncate = false } = {},
+    ) => {
+      this.#checkFixedLength(length, encoding);
+      this.alignToByte();
+      const bitOffset = this.bitPosition;
+      let bytes = encodeString(str, encoding, bitOffset);
+      if (bytes.length > length) {
+        if (!truncate) {
+          throw new ValueOutOfRangeError(
+            `String of ${bytes.length} bytes does not fit in ${length} bytes`,
+            str,
+            { bitOffset },
+          );
+        }
+        bytes = truncateEncoded(bytes, length, encoding);
+      }
+
+      const field = new Uint8Array(length);
+      field.set(bytes);
+      if (bytes.length < length) {
+        const padding = encodeString(pad, encoding, bitOffset);
+        if (padding.length === 0) {
+          throw new RangeError("Padding must not be empty");
+        }
+        // Only whole pad characters, leaving NULs in any bytes after them
+        for (let i = bytes.length; i + padding.length <= length; ) {
+          field.set(padding, i);
+          i += padding.length;
+        }
+      }
+      return this.write.bytes(field);
+    },
+    prefixedBytes: (bytes, { prefix = 8 } = {}) => {
+      this.#writeLength(bytes.length, prefix);
+      return this.write.bytes(bytes);
+    },
+    prefixedString: (str, { prefix = 8, encoding = "utf-8" } = {}) =>
+      this.write.prefixedBytes(encodeString(str, encoding, this.bitPosition), {
+        prefix,
+      }),
+    array: (values, bitCount, { signed = false } = {}) =>
+      this.#writeArray(values, bitCount, signed),
+    prefixedArray: (values, bitCount, { prefix = 8, signed = false } = {}) => {
+      this.#writeLength(values.length, prefix);
+      return this.#writeArray(values, bitCount, signed);
+    },
+    int: (value, bitCount, { endian } = {}) => {
+      if (value < 0) value += 2 ** bitCount;
+      return this.#writeBits(value, bitCount, this.#resolveEndian(endian));
+    },
+    uint: (value, bitCount, { endian } = {}) =>
+      this.#writeBits(value, bitCount, this.#resolveEndian(endian)),
+    bigInt: (value, bitCount, { endian } = {}) =>
+      this.#writeBigBits(value, bitCount, this.#resolveEndian(endian)),
+    bigUint: (value, bitCount, { endian } = {}) =>
+      this.#writeBigBits(value, bitCount, this.#resolveEndian(endian)),
+    float16: (value, { endian } = {}) =>
+      this.#writeBits(float16ToBits(value), 16, this.#resolveEndian(endian)),
+    float32: (value, { endian } = {}) =>
+      this.#writeBits(float32ToBits(value), 32, this.#resolveEndian(endian)),
+    float64: (value, { endian } = {}) =>
+      this.#writeBigBits(float64ToBits(value), 64, this.#resolveEndian(endian)),
+    fixed: (
+      value,
+      intBits,
+      fracBits,
+      { signed = true, rounding = "nearest", overflow = "error" } = {},
+    ) =>
+      this.#writeFixed(value, intBits, fracBits, {
+        signed,
+        rounding,
+        overflow,
+      }),
+    flags: (flags, names) => {
+      for (const name of names) {
+        this.#writeBits(name != null && flags[name] ? 1 : 0, 1);
+      }
+      return this;
+    },
+    enum: (
+      value,
+      bitCount,
+      mapping,
+      { unknown = "error", defaultValue } = {},
+    ) => this.#writeEnum(value, bitCount, mapping, { unknown, defaultValue }),
+    bcd: (value, digits, { packed = true } = {}) =>
+      this.#writeBcd(value, digits, packed),
+    gray: (value, bitCount) =>
+      bitCount > 32
+        ? this.#writeBigBits(
+            grayEncodeBigInt(BigInt.asUintN(bitCount, BigInt(value))),
+            bitCount,
+          )
+        : this.#writeBits(grayEncode(value), bitCount),
+    signMagnitude: (value, bitCount, { endian } = {}) =>
+      this.#writeSymmetric(value, bitCount, this.#resolveEndian(endian), true),
+    onesComplement: (value, bitCount, { endian } = {}) =>
+      this.#writeSymmetric(value, bitCount, this.#resolveEndian(endian), false),
+    bitReversed: (value, bitCount) => {
+      if (bitCount > 32) {
+        const bits = BigInt(value);
+        return this.#writeBigBits(
+          this.isLsbFirst ? bits : reverseBigIntBits(bits, bitCount),
+          bitCount,
+          !this.isLsbFirst,
+        );
+      }
+      return this.#writeBits(
+        this.isLsbFirst ? value : reverseBits(value, bitCount),
+        bitCount,
+        !this.isLsbFirst,
+      );
+    },
+    buffer: (other, { bitLength = other.bitLength } = {}) =>
+      this.#writeBuffer(other.slice(0, bitLength)),
+    varint: (value) => this.#writeLeb128(value, false),
+    signedVarint: (value) => this.#writeLeb128(value, true),
+    zigzagVarint: (value) =>
+      this.#writeLeb128(
+        zigzagEncode(this.#toBigInteger(value, "ZigZag varint")),
+        false,
+      ),
+    vlq: (value) => this.#writeVlq(value),
+    bigVarint: (value) => this.#writeLeb128(value, false),
+    bigSignedVarint: (value) => this.#writeLeb128(value, true),
+    bigZigzagVarint: (value) =>
+      this.#writeLeb128(
+        zigzagEncode(this.#toBigInteger(value, "ZigZag varint")),
+        false,
+      ),
+    bigVlq: (value) => this.#writeVlq(value),
+    expGolomb: (value) => this.#writeExpGolomb(value),
+    signedExpGolomb: (value) => {
+      if (!Number.isInteger(value) || Math.abs(value) > 2 ** 32 - 1) {
+        throw new ValueOutOfRangeError(
+          "Signed Exp-Golomb value must be between -(2^32 - 1) and 2^32 - 1",
+          value,
+          { bitOffset: this.bitPosition },
+        );
+      }
+      return this.#writeExpGolomb(value > 0 ? value * 2 - 1 : -value * 2);
+    },
+    eliasGamma: (value) => {
+      if (!Number.isInteger(value) || value < 1 || value > 2 ** 33 - 1) {
+        throw new ValueOutOfRangeError(
+          "Elias gamma value must be between 1 and 2^33 - 1",
+          value,
+          { bitOffset: this.bitPosition },
+        );
+      }
+      return this.#writeExpGolomb(value - 1);
+    },
+    eliasDelta: (value) => {
+      if (!Number.isInteger(value) || value < 1 || value >= 2 ** 33) {
+        throw new ValueOutOfRangeError(
+          "Elias delta value must be between 1 and 2^33 - 1",
+          value,
+          { bitOffset: this.bitPosition },
+        );
+      }
+      let bits = 0;
+      while (2 ** (bits + 1) <= value) bits++;
+      this.#writeExpGolomb(bits);
+      return this.#writeRawBits(value - 2 ** bits, bits);
+    },
+    rice: (value, k) => this.#writeGolomb(value, 2 ** k),
+    golomb: (value, m) => this.#writeGolomb(value, m),
+    checksum: (algorithm, startMark, endMark) =>
+      this.#writeBits(
+        this.checksum(algorithm, startMark, endMark),
+        algorithm.width,
+      ),
+  };
+
+  /**
+   * Labels the next read or write in the trace. Has no effect unless
+   * tracing is enabled.
+   *
+   * @param {string} name - Label for the next operation
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  label(name) {
+    this.#nextLabel = name;
+    return this;
+  }
+
+  /**
+   * Creates a named mark at the current buffer position.
+   *
+   * @param {string|Symbol} [name='default'] - Name for the mark
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  mark(name = "default") {
+    this.marks.set(name, {
+      position: this.position,
+      remainingBits: this.remainingBits,
+      currentByte: this.currentByte,
+    });
+    return this;
+  }
+
+  /**
+   * Looks up a previously created mark.
+   *
+   * @private
+   * @param {string|Symbol} name - Name of the mark
+   * @returns {{position: number, remainingBits: number, currentByte: number}} The mark
+   * @throws {MissingMarkError} If the mark doesn't exist
+   */
+  #getMark(name) {
+    const mark = this.marks.get(name);
+    if (!mark) {
+      throw new MissingMarkError(name, { bitOffset: this.bitPosition });
+    }
+    return mark;
+  }
+
+  /**
+   * Returns the bit position that a bound of a `setSize` range refers to.
+   *
+   * @private
+   * @param {number|string|Symbol|Reservation} bound - Bit position, mark name or reservation
+   * @param {boolean} isStart - Whether the bound starts the range
+   * @returns {number} The bit position
+   * @throws {MissingMarkError} If a mark doesn't exist
+   */
+  #boundPosition(bound, isStart) {
+    if (typeof bound === "number") return bound;
+    // A reservation is excluded from the ranges it bounds
+    if (typeof bound === "object") {
+      return isStart ? bound.bitOffset + bound.bitCount : bound.bitOffset;
+    }
+    const { position, remainingBits } = this.#getMark(bound);
+    return position * 8 - remainingBits - this.#bitStart;
+  }
+
+  /**
+   * Returns the bytes between two marks, or between a mark and the current position.
+   *
+   * @private
+   * @param {string|Symbol} startMark - Mark at the start of the range
+   * @param {string|Symbol} [endMark] - Mark at the end of the range (defaults to the current position)
+   * @returns {Uint8Array} View of the bytes in the range
+   * @throws {MissingMarkError} If a mark doesn't exist
+   * @throws {RangeError} If the range is not byte-aligned or ends before it starts
+   */
+  #markedBytes(startMark, endMark) {
+    const toBitOffset = ({ position, remainingBits }) =>
+      position * 8 - remainingBits;
+    const start = toBitOffset(this.#getMark(startMark));
+    const end =
+      endMark === undefined
+        ? this.#bitIndex
+        : toBitOffset(this.#getMark(endMark));
+
+    if (start % 8 !== 0 || end % 8 !== 0) {
+      throw new RangeError(
+        "Checksum range must start and end on a byte boundary",
+      );
+    }
+    if (end < start) {
+      throw new RangeError("Checksum range ends before it starts");
+    }
+    return this.data.subarray(start / 8, end / 8);
+  }
+
+  /**
+   * Computes a checksum over the bytes between two marks.
+   *
+   * @param {ChecksumAlgorithm} algorithm - Checksum algorithm, e.g. `CRC32`
+   * @param {string|Symbol} startMark - Mark at the start of the range
+   * @param {string|Symbol} [endMark] - Mark at the end of the range (defaults to the current position)
+   * @returns {number} The checksum
+   * @throws {MissingMarkError} If a mark doesn't exist
+   * @throws {RangeError} If the range is not byte-aligned
+   */
+  checksum(algorithm, startMark, endMark) {
+    return algorithm.compute(this.#markedBytes(startMark, endMark));
+  }
+
+  /**
+   * Resets the buffer position to a previously created mark.
+   *
+   * @param {string|Symbol} [name='default'] - Name of the mark to reset to
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {MissingMarkError} If the mark doesn't exist
+   */
+  reset(name = "default") {
+    Object.assign(this, this.#getMark(name));
+    // Pick up any bits written into the marked byte since the mark was made
+    if (this.remainingBits > 0) this.currentByte = this.data[this.position - 1];
+    return this;
+  }
+
+  /**
+   * Reserves a zero-filled field at the current position, to be filled
+   * in once its value is known: typically a length or offset that comes
+   * before the data it describes. The position moves past the field.
+   *
+   * The returned reservation has two methods, which write into the field
+   * without moving the position or changing any other bits:
+   *
+   * - `set(value)` writes an unsigned integer (number or BigInt), with
+   *   the buffer's byte order.
+   * - `setSize({ from, to, unit })` writes the distance from `from` to
+   *   `to` in `unit`-bit units (default 8). Either bound can be a bit
+   *   position, a mark name or a reservation, which counts from the end of
+   *   its field as `from` and up to its start as `to`. By default the
+   *   range runs from this field to the current position.
+   *
+   * @param {number} bitCount - Width of the field (1-64)
+   * @returns {Reservation} The reserved field
+   * @throws {InvalidBitCountError} If bitCount is invalid
+   */
+  reserve(bitCount) {
+    const bitOffset = this.bitPosition;
+    this.#writeBigBits(0n, bitCount);
+
+    const set = (value) => {
+      const fits =
+        typeof value === "bigint"
+          ? BigInt.asUintN(bitCount, value) === value
+          : Number.isInteger(value) && value >= 0 && value < 2 ** bitCount;
+      if (!fits) {
+        throw new ValueOutOfRangeError(
+          `Value ${value} does not fit in a ${bitCount}-bit field`,
+          value,
+          { bitOffset, bitCount },
+        );
+      }
+
+      const { position, remainingBits, currentByte } = this;
+      this.seekBit(bitOffset);
+      try {
+        this.#writeBigBits(value, bitCount);
+      } finally {
+        this.#restorePosition(position, remainingBits, currentByte);
+      }
+      return this;
+    };
+
+    const reservation = {
+      bitOffset,
+      bitCount,
+      set,
+      setSize: ({
+        from = reservation,
+        to = this.bitPosition,
+        unit = 8,
+      } = {}) => {
+        const bits =
+          this.#boundPosition(to, false) - this.#boundPosition(from, true);
+        if (bits < 0) {
+          throw new ValueOutOfRangeError(
+            "Size range ends before it starts",
+            bits,
+            { bitOffset, bitCount },
+          );
+        }
+        if (bits % unit !== 0) {
+          throw new ValueOutOfRangeError(
+            `Size of ${bits} bits is not a whole number of ${unit}-bit units`,
+            bits,
+            { bitOffset, bitCount },
+          );
+        }
+        return set(bits / unit);
+      },
+    };
+    return reservation;
+  }
+
+  /**
+   * Reading operations that don't advance the buffer position.
+   * Contains the same methods as `read` but returns values without modifying position.
+   * @type {ReadOperations}
+   */
+  peek = Object.fromEntries(
+    Object.entries(this.read).map(([name, fn]) => [
+      name,
+      (...args) => {
+        const { position, remainingBits, currentByte } = this;
+        this.#traceDepth++;
+        try {
+          return fn(...args);
+        } finally {
+          this.#traceDepth--;
+          this.#restorePosition(position, remainingBits, currentByte);
+        }
+      },
+    ]),
+  );
+
+  /**
+   * Reading operations that report failure instead of throwing, for
+   * speculative parsing. Each method mirrors `read` but returns a
+   * result object; on failure the position is left unchanged.
+   *
+   * Only failures caused by the data are caught: underruns, malformed
+   * encodings and values too large for a number (`BufferUnderrunError`,
+   * `InvalidEncodingError`). Invalid arguments still throw, also
+   * leaving the position unchanged.
    *
-   * @param {Uint8Array|Buffer} [contents=new Uint8Array()] - Initial buffer contents
-   * @param {string} [endian='big'] - Byte order ('big' or 'little')
+   * @type {Object<string, function(...*): ReadResult>}
    */
-  constructor(contents, endian = "big") {
-    // ||= because contents can be a false-like value if the
-    // user only wants to set an endianness.
-    contents ||= new Uint8Array();
+  tryRead = Object.fromEntries(
+    Object.keys(this.read).map((name) => [
+      name,
+      (...args) => {
+        const { position, remainingBits, currentByte } = this;
+        try {
+          return { ok: true, value: this.read[name](...args) };
+        } catch (error) {
+          this.#restorePosition(position, remainingBits, currentByte);
+          if (
+            !(error instanceof BufferUnderrunError) &&
+            !(error instanceof InvalidEncodingError)
+          ) {
+            throw error;
+          }
+          return { ok: false, error };
+        }
+      },
+    ]),
+  );
 
-    this.data =
-      contents instanceof Buffer ? new Uint8Array(contents) : contents;
-    this.position = 0;
-    this.currentByte = 0;
-    this.remainingBits = 0;
-    this.isBigEndian = endian === "big";
-    this.marks = new Map();
-  }
+  /**
+   * Writing operations at a given bit offset, for editing existing data
+   * in place. Each method takes the offset followed by the arguments of
+   * the matching `write` method, overwrites only the bits that method
+   * writes, and leaves the position unchanged.
+   *
+   * Methods that align before writing, such as `bytes` and `string`,
+   * align here too: patching bytes at bit 3 writes them from bit 8.
+   *
+   * @type {Object<string, function(number, ...*): BitPackedBuffer>}
+   */
+  patch = Object.fromEntries(
+    Object.keys(this.write).map((name) => [
+      name,
+      (bitOffset, ...args) => {
+        const { position, remainingBits, currentByte } = this;
+        this.seekBit(bitOffset);
+        try {
+          this.write[name](...args);
+        } finally {
+          this.#restorePosition(position, remainingBits, currentByte);
+        }
+        return this;
+      },
+    ]),
+  );
 
   /**
-   * Reads the specified number of bits from the buffer.
+   * Returns to a previously saved position.
    *
    * @private
-   * @param {number} bitCount - Number of bits to read (1-32)
-   * @returns {number} The read value as an unsigned 32-bit integer
-   * @throws {RangeError} If bitCount is invalid or buffer underruns
+   * @param {number} position - Saved `position`
+   * @param {number} remainingBits - Saved `remainingBits`
+   * @param {number} currentByte - Saved `currentByte`
    */
-  #readBits(bitCount) {
-    if (bitCount <= 0 || bitCount > 32) {
-      throw new RangeError("Bit count must be between 1 and 32");
-    }
+  #restorePosition(position, remainingBits, currentByte) {
+    this.position = position;
+    this.remainingBits = remainingBits;
+    // As in reset(), pick up any bits written into the byte meanwhile
+    this.currentByte =
+      remainingBits > 0 ? this.data[position - 1] : currentByte;
+  }
 
-    let result = 0;
-    let bitsObtained = 0;
+  /**
+   * Sets the buffer position to a specific byte offset.
+   *
+   * @param {number} position - Byte offset to seek to
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If position is negative
+   */
+  seek(position) {
+    if (position < 0) throw new RangeError("Cannot seek to negative position");
+    return this.seekBit(position * 8);
+  }
 
-    while (bitsObtained < bitCount) {
-      if (this.remainingBits === 0) {
-        if (this.position >= this.data.length) {
-          throw new RangeError("Buffer underrun while reading bits");
-        }
-        this.currentByte = this.data[this.position++];
-        this.remainingBits = 8;
-      }
+  /**
+   * Sets the buffer position to a specific bit offset.
+   *
+   * @param {number} bitOffset - Bit offset to seek to
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If bitOffset is negative
+   * @throws {BufferOverflowError} If bitOffset is past the end of a view
+   */
+  seekBit(bitOffset) {
+    if (bitOffset < 0) throw new RangeError("Cannot seek to negative position");
+
+    const index = this.#bitStart + bitOffset;
+    this.#ensureCapacity(index);
+    this.#seekIndex(index);
+    return this;
+  }
 
-      const bitsToRead = Math.min(bitCount - bitsObtained, this.remainingBits);
-      const mask = (1 << bitsToRead) - 1;
-      const shift = this.remainingBits - bitsToRead;
-      const bits = (this.currentByte >> shift) & mask;
+  /**
+   * Advances the buffer position by specified number of bytes, from the
+   * end of any partially consumed byte.
+   *
+   * @param {number} bytes - Number of bytes to skip
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  skip(bytes) {
+    return this.seekBit((this.position + bytes) * 8 - this.#bitStart);
+  }
 
-      // Place bits starting from most significant position
-      result = (result << bitsToRead) | bits;
+  /**
+   * Advances the buffer position by specified number of bits.
+   *
+   * @param {number} bits - Number of bits to skip
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   */
+  skipBits(bits) {
+    return this.seekBit(this.bitPosition + bits);
+  }
 
-      this.remainingBits -= bitsToRead;
-      bitsObtained += bitsToRead;
+  /**
+   * Inserts zero bits at a bit offset, shifting the data after it
+   * towards the end. The position and marks after the offset move with
+   * the data; those at the offset stay, ready to write into the gap.
+   *
+   * @param {number} bitOffset - Bit position to insert at
+   * @param {number} bitCount - Number of bits to insert
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If bitOffset is outside the data or bitCount is negative
+   * @throws {BufferOverflowError} If a view would grow past its end
+   */
+  insertBits(bitOffset, bitCount) {
+    if (bitOffset < 0 || bitOffset > this.bitLength || bitCount < 0) {
+      throw new RangeError("Insertion must be within the data");
     }
 
-    if (bitCount > 8 && !this.isBigEndian) {
-      result = swapEndianness(result, Math.ceil(bitCount / 8));
-    }
+    const { bitPosition } = this;
+    const start = this.#bitStart + bitOffset;
+    const end = this.#bitLength;
+    this.#ensureCapacity(end + bitCount);
+    this.#moveBits(start, start + bitCount, end - start);
+    this.#zeroBits(start, bitCount);
+    this.#bitLength = end + bitCount;
 
-    return result >>> 0;
+    return this.#shiftPositions(bitPosition, (offset) =>
+      offset > bitOffset ? offset + bitCount : offset,
+    );
   }
 
   /**
-   * Writes the specified number of bits to the buffer.
+   * Removes bits at a bit offset, shifting the data after them towards
+   * the start. The position and marks after the removed bits move with
+   * the data; those inside them move to the offset.
    *
-   * @private
-   * @param {number} value - Value to write
-   * @param {number} bitCount - Number of bits to write (1-32)
+   * @param {number} bitOffset - Bit position of the first bit to remove
+   * @param {number} bitCount - Number of bits to remove
    * @returns {BitPackedBuffer} This buffer instance for chaining
-   * @throws {RangeError} If bitCount is invalid
+   * @throws {RangeError} If the bits are not all within the data
    */
-  #writeBits(value, bitCount) {
-    if (bitCount <= 0 || bitCount > 32) {
-      throw new RangeError("Bit count must be between 1 and 32");
+  deleteBits(bitOffset, bitCount) {
+    if (
+      bitOffset < 0 ||
+      bitCount < 0 ||
+      bitOffset + bitCount > this.bitLength
+    ) {
+      throw new RangeError("Deleted bits must be within the data");
     }
 
-    if (bitCount > 8 && !this.isBigEndian) {
-      value = swapEndianness(value, Math.ceil(bitCount / 8));
-    }
+    const { bitPosition } = this;
+    const start = this.#bitStart + bitOffset;
+    const end = this.#bitLength;
+    this.#moveBits(start + bitCount, start, end - start - bitCount);
+    // Keep the bits past the end zero, as in a freshly grown buffer
+    this.#zeroBits(end - bitCount, bitCount);
+    this.#bitLength = end - bitCount;
 
-    value = value >>> 0;
-    while (bitCount > 0) {
-      if (this.remainingBits === 0) {
-        if (this.position >= this.data.length) {
-          this.#resize(this.position + 1);
-        }
-        this.currentByte = 0;
-        this.remainingBits = 8;
-      }
+    return this.#shiftPositions(bitPosition, (offset) =>
+      offset > bitOffset ? Math.max(offset - bitCount, bitOffset) : offset,
+    );
+  }
+
+  /**
+   * ANDs bits of this buffer with the bits of another, in place. The
+   * position doesn't move.
+   *
+   * @param {BitPackedBuffer} other - Buffer whose bits, from its start, are combined in
+   * @param {number} [bitOffset=0] - Bit position of the first bit to change
+   * @param {number} [bitCount=other.bitLength] - Number of bits to change
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If the bits are not all within the data
+   * @throws {BufferUnderrunError} If the other buffer has fewer bits
+   */
+  and(other, bitOffset = 0, bitCount = other.bitLength) {
+    return this.#combineBits(other, bitOffset, bitCount, (a, b) => a & b);
+  }
+
+  /**
+   * ORs bits of this buffer with the bits of another, in place. See `and()`.
+   *
+   * @param {BitPackedBuffer} other - Buffer whose bits, from its start, are combined in
+   * @param {number} [bitOffset=0] - Bit position of the first bit to change
+   * @param {number} [bitCount=other.bitLength] - Number of bits to change
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If the bits are not all within the data
+   * @throws {BufferUnderrunError} If the other buffer has fewer bits
+   */
+  or(other, bitOffset = 0, bitCount = other.bitLength) {
+    return this.#combineBits(other, bitOffset, bitCount, (a, b) => a | b);
+  }
 
-      const bitsToWrite = Math.min(bitCount, this.remainingBits);
-      const shift = bitCount - bitsToWrite;
-      const bits = (value >> shift) & ((1 << bitsToWrite) - 1);
+  /**
+   * XORs bits of this buffer with the bits of another, in place. See `and()`.
+   *
+   * @param {BitPackedBuffer} other - Buffer whose bits, from its start, are combined in
+   * @param {number} [bitOffset=0] - Bit position of the first bit to change
+   * @param {number} [bitCount=other.bitLength] - Number of bits to change
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If the bits are not all within the data
+   * @throws {BufferUnderrunError} If the other buffer has fewer bits
+   */
+  xor(other, bitOffset = 0, bitCount = other.bitLength) {
+    return this.#combineBits(other, bitOffset, bitCount, (a, b) => a ^ b);
+  }
 
-      this.currentByte |= bits << (this.remainingBits - bitsToWrite);
-      this.remainingBits -= bitsToWrite;
-      bitCount -= bitsToWrite;
+  /**
+   * Inverts bits in place. The position doesn't move.
+   *
+   * @param {number} [bitOffset=0] - Bit position of the first bit to invert
+   * @param {number} [bitCount=this.bitLength - bitOffset] - Number of bits to invert
+   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If the bits are not all within the data
+   */
+  not(bitOffset = 0, bitCount = this.bitLength - bitOffset) {
+    return this.#combineBits(null, bitOffset, bitCount, (a) => ~a);
+  }
 
-      if (this.remainingBits === 0) {
-        this.data[this.position++] = this.currentByte;
-      }
-    }
+  /**
+   * Counts the 1 bits in a range.
+   *
+   * @param {number} [bitOffset=0] - Bit position where the range starts
+   * @param {number} [bitCount=this.bitLength - bitOffset] - Number of bits in the range
+   * @returns {number} The number of bits set
+   * @throws {RangeError} If the bits are not all within the data
+   */
+  popcount(bitOffset = 0, bitCount = this.bitLength - bitOffset) {
+    let count = 0;
+    this.#scanBits(bitOffset, bitCount, (bits) => {
+      count += popcount(bits);
+    });
+    return count;
+  }
 
-    return this;
+  /**
+   * Finds the first 1 bit in a range, in stream order.
+   *
+   * @param {number} [bitOffset=0] - Bit position where the search starts
+   * @param {number} [bitCount=this.bitLength - bitOffset] - Number of bits to search
+   * @returns {number} The bit position of the first bit set, or -1 if there is none
+   * @throws {RangeError} If the bits are not all within the data
+   */
+  findFirstSet(bitOffset = 0, bitCount = this.bitLength - bitOffset) {
+    let found = -1;
+    this.#scanBits(bitOffset, bitCount, (bits, width, done) => {
+      if (bits === 0) return false;
+      found =
+        bitOffset +
+        done +
+        (this.isLsbFirst
+          ? 31 - Math.clz32(bits & -bits)
+          : Math.clz32(bits) - (32 - width));
+      return true;
+    });
+    return found;
   }
 
   /**
-   * Resizes the internal buffer to accommodate more data.
+   * Checks that a range of bits lies within the data.
    *
    * @private
-   * @param {number} size - Minimum size needed
+   * @param {number} bitOffset - Bit position where the range starts
+   * @param {number} bitCount - Number of bits in the range
+   * @throws {RangeError} If the bits are not all within the data
    */
-  #resize(size) {
-    const newData = new Uint8Array(Math.max(size, this.data.length * 2));
-    newData.set(this.data);
-    this.data = newData;
+  #checkBitRange(bitOffset, bitCount) {
+    if (
+      bitOffset < 0 ||
+      bitCount < 0 ||
+      bitOffset + bitCount > this.bitLength
+    ) {
+      throw new RangeError("Bit range must be within the data");
+    }
   }
 
   /**
-   * Aligns the read/write position to the next byte boundary.
+   * Reads a range of bits in chunks of up to 32, in stream order, and
+   * restores the position afterwards.
    *
-   * @param {boolean} [last=false] - If true, updates the last byte instead of advancing
+   * @private
+   * @param {number} bitOffset - Bit position where the range starts
+   * @param {number} bitCount - Number of bits in the range
+   * @param {function(number, number, number): (boolean|void)} visit - Called with each chunk, its width and its offset in the range; returning true stops
+   * @throws {RangeError} If the bits are not all within the data
+   */
+  #scanBits(bitOffset, bitCount, visit) {
+    this.#checkBitRange(bitOffset, bitCount);
+    const { position, remainingBits, currentByte } = this;
+    this.#seekIndex(this.#bitStart + bitOffset);
+    for (let done = 0; done < bitCount; done += 32) {
+      const width = Math.min(bitCount - done, 32);
+      if (visit(this.#readRawBits(width), width, done)) break;
+    }
+    this.#restorePosition(position, remainingBits, currentByte);
+  }
+
+  /**
+   * Replaces a range of bits with a bitwise combination of them and the
+   * bits of another buffer, in stream order.
+   *
+   * @private
+   * @param {BitPackedBuffer|null} other - Buffer with the other operand, or null for a unary operation
+   * @param {number} bitOffset - Bit position where the range starts
+   * @param {number} bitCount - Number of bits in the range
+   * @param {function(number, number): number} op - Combines chunks of bits
    * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @throws {RangeError} If the bits are not all within the data
+   * @throws {BufferUnderrunError} If the other buffer has fewer bits
    */
-  alignToByte(last = false) {
-    if (this.remainingBits > 0 && this.remainingBits < 8) {
-      if (!last) {
-        this.data[this.position++] = this.currentByte;
-      } else {
-        this.data[this.position - 1] = this.currentByte;
+  #combineBits(other, bitOffset, bitCount, op) {
+    this.#checkBitRange(bitOffset, bitCount);
+    const source = other && this.#unshared(other.slice(0, bitCount));
+    const reverse = source && source.isLsbFirst !== this.isLsbFirst;
+    const start = this.#bitStart + bitOffset;
+    const { position, remainingBits, currentByte } = this;
+
+    // Whole bytes at once when both ranges start on a byte boundary
+    let done = 0;
+    if (start % 8 === 0 && !reverse && (!source || source.#bitStart === 0)) {
+      done = bitCount - (bitCount % 8);
+      const first = start / 8;
+      for (let i = 0; i < done / 8; i++) {
+        this.data[first + i] = op(this.data[first + i], source?.data[i]);
       }
-      this.remainingBits = 0;
-      this.currentByte = 0;
     }
+
+    source?.seekBit(done);
+    for (; done < bitCount; done += 32) {
+      const width = Math.min(bitCount - done, 32);
+      this.#seekIndex(start + done);
+      const bits = this.#readRawBits(width);
+      let otherBits = source ? source.#readRawBits(width) : 0;
+      if (reverse) otherBits = reverseBits(otherBits, width);
+      this.#seekIndex(start + done);
+      this.#writeRawBits(op(bits, otherBits), width);
+    }
+
+    this.#restorePosition(position, remainingBits, currentByte);
     return this;
   }
 
   /**
-   * Reading operations interface
-   * @typedef ReadOperations
-   * @type {Object}
-   * @property {function(number): number} bits - Read specified number of bits
-   * @property {function(number): Uint8Array} bytes - Read specified number of bytes
-   * @property {function(number, string=): string} string - Read fixed-length string
-   * @property {function(string=): string} cString - Read null-terminated string
-   * @property {function(number): number} int - Read signed integer of specified bits
-   * @property {function(number): number} uint - Read unsigned integer of specified bits
+   * Copies bits within `data`. The ranges may overlap.
    *
-   * @type {ReadOperations}
+   * @private
+   * @param {number} from - Bit position in `data` to copy from
+   * @param {number} to - Bit position in `data` to copy to
+   * @param {number} bitCount - Number of bits to copy
    */
-  read = {
-    bits: (count) => this.#readBits(count),
-    bytes: (count) => {
-      const result = new Uint8Array(count);
-      this.alignToByte();
-      for (let i = 0; i < count; i++) {
-        result[i] = this.#readBits(8);
-      }
-      return result;
-    },
-    string: (length, encoding = "utf-8") => {
-      const bytes = this.read.bytes(length);
-      return new TextDecoder(encoding).decode(bytes);
-    },
-    cString: (encoding = "utf-8") => {
-      const bytes = [];
-      while (true) {
-        const byte = this.#readBits(8);
-        if (byte === 0) break;
-        bytes.push(byte);
-      }
-      return new TextDecoder(encoding).decode(new Uint8Array(bytes));
-    },
-    int: (bitCount) => {
-      const value = this.#readBits(bitCount);
-      const signBit = 1 << (bitCount - 1);
-      return value & signBit ? value - (1 << bitCount) : value;
-    },
-    uint: (bitCount) => this.#readBits(bitCount),
-  };
+  #moveBits(from, to, bitCount) {
+    if (from % 8 === 0 && to % 8 === 0 && bitCount % 8 === 0) {
+      this.data.copyWithin(to / 8, from / 8, (from + bitCount) / 8);
+      return;
+    }
+
+    // Read everything first, so that overlapping writes can't clobber
+    // bits not yet read
+    const chunks = [];
+    this.#seekIndex(from);
+    for (let left = bitCount; left > 0; left -= 32) {
+      chunks.push(this.#readRawBits(Math.min(left, 32)));
+    }
+    this.#seekIndex(to);
+    chunks.forEach((chunk, i) =>
+      this.#writeRawBits(chunk, Math.min(bitCount - i * 32, 32)),
+    );
+  }
 
   /**
-   * Writing operations interface
-   * @type {Object}
-   * @property {function(number, number): BitPackedBuffer} bits - Write value using specified bits
-   * @property {function(Uint8Array): BitPackedBuffer} bytes - Write byte array
-   * @property {function(string): BitPackedBuffer} string - Write string
-   * @property {function(string): BitPackedBuffer} cString - Write null-terminated string
-   * @property {function(number, number): BitPackedBuffer} int - Write signed integer
-   * @property {function(number, number): BitPackedBuffer} uint - Write unsigned integer
+   * Clears bits within `data`.
+   *
+   * @private
+   * @param {number} from - Bit position in `data` of the first bit
+   * @param {number} bitCount - Number of bits to clear
    */
-  write = {
-    bits: (value, count) => this.#writeBits(value, count),
-    bytes: (bytes) => {
-      this.alignToByte();
-      for (const byte of bytes) {
-        this.#writeBits(byte, 8);
-      }
-      return this;
-    },
-    string: (str) => {
-      const bytes = new TextEncoder().encode(str);
-      return this.write.bytes(bytes);
-    },
-    cString: (str) => {
-      const bytes = new TextEncoder().encode(str + "\0");
-      return this.write.bytes(bytes);
-    },
-    int: (value, bitCount) => {
-      if (value < 0) value += 1 << bitCount;
-      return this.#writeBits(value, bitCount);
-    },
-    uint: (value, bitCount) => this.#writeBits(value, bitCount),
-  };
+  #zeroBits(from, bitCount) {
+    this.#seekIndex(from);
+    for (let left = bitCount; left > 0; left -= 32) {
+      this.#writeRawBits(0, Math.min(left, 32));
+    }
+  }
 
   /**
-   * Creates a named mark at the current buffer position.
+   * Moves to a bit position in `data`, which `data` must already hold.
    *
-   * @param {string|Symbol} [name='default'] - Name for the mark
-   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @private
+   * @param {number} index - Bit position in `data`
    */
-  mark(name = "default") {
-    this.marks.set(name, {
-      position: this.position,
-      remainingBits: this.remainingBits,
-      currentByte: this.currentByte,
-    });
-    return this;
+  #seekIndex(index) {
+    const byteOffset = Math.floor(index / 8);
+    const bitInByte = index % 8;
+
+    if (bitInByte === 0) {
+      this.position = byteOffset;
+      this.currentByte = 0;
+      this.remainingBits = 0;
+    } else {
+      // Load the byte as if its leading bits had just been consumed
+      this.position = byteOffset + 1;
+      this.currentByte = this.data[byteOffset];
+      this.remainingBits = 8 - bitInByte;
+    }
   }
 
   /**
-   * Resets the buffer position to a previously created mark.
+   * Remaps the position and every mark after bits were inserted or
+   * deleted.
    *
-   * @param {string|Symbol} [name='default'] - Name of the mark to reset to
+   * @private
+   * @param {number} bitPosition - Position before the change
+   * @param {function(number): number} remap - Maps an old bit position to its new one
    * @returns {BitPackedBuffer} This buffer instance for chaining
-   * @throws {Error} If the mark doesn't exist
    */
-  reset(name = "default") {
-    const mark = this.marks.get(name);
-    if (!mark) throw new Error(`Mark '${name}' not found`);
-    this.alignToByte();
-    Object.assign(this, mark);
-    return this;
+  #shiftPositions(bitPosition, remap) {
+    const toBitOffset = ({ position, remainingBits }) =>
+      position * 8 - remainingBits - this.#bitStart;
+
+    for (const [name, mark] of this.marks) {
+      this.seekBit(remap(toBitOffset(mark)));
+      this.mark(name);
+    }
+    return this.seekBit(remap(bitPosition));
   }
 
   /**
-   * Reading operations that don't advance the buffer position.
-   * Contains the same methods as `read` but returns values without modifying position.
-   * @type {ReadOperations}
+   * The current read/write position in bits.
+   *
+   * @type {number}
    */
-  peek = Object.fromEntries(
-    Object.entries(this.read).map(([name, fn]) => [
-      name,
-      (...args) => {
-        this.mark(kPeekMark);
-        const value = fn(...args);
-        this.reset(kPeekMark);
-        return value;
-      },
-    ]),
-  );
+  get bitPosition() {
+    return this.#bitIndex - this.#bitStart;
+  }
 
   /**
-   * Sets the buffer position to a specific byte offset.
+   * The number of bits holding data: the initial contents, extended by
+   * anything written past them.
    *
-   * @param {number} position - Byte offset to seek to
-   * @returns {BitPackedBuffer} This buffer instance for chaining
-   * @throws {RangeError} If position is negative
+   * @type {number}
    */
-  seek(position) {
-    if (position < 0) throw new RangeError("Cannot seek to negative position");
-    if (position > this.data.length) this.#resize(position);
-    this.alignToByte();
-    this.position = position;
-    this.currentByte = 0;
-    this.remainingBits = 0;
-    return this;
+  get bitLength() {
+    return this.#bitLength - this.#bitStart;
   }
 
   /**
-   * Advances the buffer position by specified number of bytes.
+   * Returns the number of bits between the current position and the end of the data.
    *
-   * @param {number} bytes - Number of bytes to skip
-   * @returns {BitPackedBuffer} This buffer instance for chaining
+   * @returns {number} Number of bits left to read
    */
-  skip(bytes) {
-    return this.seek(this.position + bytes);
+  bitsRemaining() {
+    return Math.max(this.#bitLength - this.#bitIndex, 0);
   }
 
   /**
-   * Clears all buffer contents and resets position.
+   * Clears all buffer contents and resets position. The buffer keeps its
+   * initial capacity and size limit; a fixed-size buffer keeps its memory,
+   * which is zeroed.
    *
    * @returns {BitPackedBuffer} This buffer instance for chaining
    */
   clear() {
-    this.data = new Uint8Array();
+    this.data = this.#fixedSize
+      ? this.data.fill(0)
+      : new Uint8Array(this.#capacity);
     this.position = 0;
     this.currentByte = 0;
     this.remainingBits = 0;
     this.marks.clear();
+    this.#bitLength = 0;
+    this.#bitStart = 0;
+    this.#bitLimit = this.#maxSize * 8;
+    if (this.trace) this.trace = [];
     return this;
   }
 
@@ -320,17 +2676,83 @@ class BitPackedBuffer {
    * @returns {boolean} True if all data has been read
    */
   isComplete() {
-    return this.remainingBits === 0 && this.position >= this.data.length;
+    return this.#bitIndex >= this.#bitLength;
   }
 
   /**
-   * Returns a copy of the buffer's contents up to the current position.
+   * Returns a copy of the buffer's contents up to the current position,
+   * escaped if the buffer has an escaping layer. A partially written
+   * byte is included; the position doesn't change.
    *
    * @returns {Uint8Array} Buffer contents
    */
   getBuffer() {
-    this.alignToByte(true);
-    return this.data.slice(0, this.position);
+    const bitLength = this.#bitIndex;
+    const bytes = this.data.slice(0, this.position);
+    if (!this.escaping) return bytes;
+    return this.escaping.escape(bytes, {
+      bitLength,
+      lsbFirst: this.isLsbFirst,
+    }).bytes;
+  }
+
+  /**
+   * Returns a buffer over the next `bitLength` bits, without copying
+   * them. See `slice()`.
+   *
+   * @param {number} [bitLength=this.bitsRemaining()] - Number of bits in the view
+   * @param {Object} [options] - View options
+   * @param {boolean} [options.advance=false] - Move this buffer past the viewed bits
+   * @returns {BitPackedBuffer} The view
+   * @throws {BufferUnderrunError} If fewer bits remain
+   */
+  view(bitLength = this.bitsRemaining(), { advance = false } = {}) {
+    const child = this.slice(this.bitPosition, bitLength);
+    if (advance) this.skipBits(bitLength);
+    return child;
+  }
+
+  /**
+   * Returns a buffer over a range of this buffer's bits, without copying
+   * them. The child shares `data` with this buffer, so writes through
+   * either show up in both, until this buffer grows into a new array.
+   *
+   * The child's positions start at 0 at the start of the range, even
+   * when it falls mid-byte, and its reads underrun at the end of the
+   * range. It can't grow: writing or seeking past the end of the range
+   * throws. Byte alignment still follows the bytes of the shared data.
+   *
+   * @param {number} [bitStart=0] - Bit position where the range starts
+   * @param {number} [bitLength=this.bitLength - bitStart] - Number of bits in the range
+   * @returns {BitPackedBuffer} The view, with the same byte and bit order
+   * @throws {RangeError} If bitStart or bitLength is negative
+   * @throws {BufferUnderrunError} If the range extends past the end of the data
+   */
+  slice(bitStart = 0, bitLength = this.bitLength - bitStart) {
+    if (bitStart < 0 || bitLength < 0) {
+      throw new RangeError("Slice start and length cannot be negative");
+    }
+
+    const start = this.#bitStart + bitStart;
+    const end = start + bitLength;
+    if (end > this.#bitLength) {
+      throw new BufferUnderrunError(undefined, {
+        bitOffset: bitStart,
+        bitCount: bitLength,
+        available: Math.max(this.#bitLength - start, 0),
+      });
+    }
+
+    const child = new BitPackedBuffer(
+      this.data.subarray(Math.floor(start / 8), Math.ceil(end / 8)),
+      {
+        endian: this.isBigEndian ? "big" : "little",
+        bitOrder: this.isLsbFirst ? "lsb" : "msb",
+      },
+    );
+    child.#bitStart = start % 8;
+    child.#bitLength = child.#bitLimit = child.#bitStart + bitLength;
+    return child.seekBit(0);
   }
 }
 
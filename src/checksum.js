@@ -0,0 +1,192 @@
+import { reverseBits } from "./utils.js";
+
+/**
+ * A checksum algorithm usable with `BitPackedBuffer#checksum`,
+ * `read.checksum` and `write.checksum`.
+ *
+ * @typedef ChecksumAlgorithm
+ * @type {Object}
+ * @property {string} name - Name of the algorithm
+ * @property {number} width - Width of the checksum field in bits
+ * @property {function(Uint8Array): number} compute - Computes the checksum of some bytes
+ */
+
+/**
+ * Creates a table-driven CRC algorithm from its Rocksoft model parameters.
+ *
+ * @param {Object} params - CRC parameters
+ * @param {number} params.width - Width in bits (8-32)
+ * @param {number} params.poly - Generator polynomial, without the top bit
+ * @param {number} [params.init=0] - Initial register value
+ * @param {boolean} [params.reflectIn=false] - Whether input bytes are processed LSB first
+ * @param {boolean} [params.reflectOut=reflectIn] - Whether the result is reflected
+ * @param {number} [params.xorOut=0] - Value XORed into the result
+ * @param {string} [params.name='CRC'] - Name of the algorithm
+ * @returns {ChecksumAlgorithm} The CRC algorithm
+ * @throws {RangeError} If the width is invalid
+ */
+export function crc({
+  width,
+  poly,
+  init = 0,
+  reflectIn = false,
+  reflectOut = reflectIn,
+  xorOut = 0,
+  name = "CRC",
+}) {
+  if (!Number.isInteger(width) || width < 8 || width > 32) {
+    throw new RangeError("CRC width must be between 8 and 32 bits");
+  }
+
+  const mask = 2 ** width - 1;
+  const table = new Uint32Array(256);
+
+  if (reflectIn) {
+    // Register holds the CRC reflected, shifting towards the low end
+    const reflectedPoly = reverseBits(poly, width);
+    for (let i = 0; i < 256; i++) {
+      let value = i;
+      for (let bit = 0; bit < 8; bit++) {
+        value = value & 1 ? (value >>> 1) ^ reflectedPoly : value >>> 1;
+      }
+      table[i] = value;
+    }
+  } else {
+    const topBit = 2 ** (width - 1);
+    for (let i = 0; i < 256; i++) {
+      let value = i * 2 ** (width - 8);
+      for (let bit = 0; bit < 8; bit++) {
+        value =
+          value >= topBit ? (((value - topBit) * 2) ^ poly) >>> 0 : value * 2;
+      }
+      table[i] = value >>> 0;
+    }
+  }
+
+  const shift = width - 8;
+  const start = reflectIn ? reverseBits(init, width) : init >>> 0;
+
+  return {
+    name,
+    width,
+    compute(bytes) {
+      let register = start;
+
+      if (reflectIn) {
+        for (const byte of bytes) {
+          register = table[(register ^ byte) & 0xff] ^ (register >>> 8);
+        }
+      } else {
+        for (const byte of bytes) {
+          const index = ((register >>> shift) ^ byte) & 0xff;
+          register = (table[index] ^ (register * 256) % 2 ** width) >>> 0;
+        }
+      }
+
+      register >>>= 0;
+      if (reflectIn !== reflectOut) register = reverseBits(register, width);
+      return ((register ^ xorOut) & mask) >>> 0;
+    },
+  };
+}
+
+/** CRC-8 (SMBus): polynomial 0x07. */
+export const CRC8 = crc({ name: "CRC-8", width: 8, poly: 0x07 });
+
+/** CRC-16/ARC: reflected polynomial 0x8005. */
+export const CRC16_ARC = crc({
+  name: "CRC-16/ARC",
+  width: 16,
+  poly: 0x8005,
+  reflectIn: true,
+});
+
+/** CRC-16/MODBUS: reflected polynomial 0x8005, initial value 0xffff. */
+export const CRC16_MODBUS = crc({
+  name: "CRC-16/MODBUS",
+  width: 16,
+  poly: 0x8005,
+  init: 0xffff,
+  reflectIn: true,
+});
+
+/** CRC-16/CCITT-FALSE: polynomial 0x1021, initial value 0xffff. */
+export const CRC16_CCITT_FALSE = crc({
+  name: "CRC-16/CCITT-FALSE",
+  width: 16,
+  poly: 0x1021,
+  init: 0xffff,
+});
+
+/** CRC-16/XMODEM: polynomial 0x1021. */
+export const CRC16_XMODEM = crc({
+  name: "CRC-16/XMODEM",
+  width: 16,
+  poly: 0x1021,
+});
+
+/** CRC-32 as used by zlib, PNG and Ethernet. */
+export const CRC32 = crc({
+  name: "CRC-32",
+  width: 32,
+  poly: 0x04c11db7,
+  init: 0xffffffff,
+  reflectIn: true,
+  xorOut: 0xffffffff,
+});
+
+/** CRC-32C (Castagnoli) as used by iSCSI and ext4. */
+export const CRC32C = crc({
+  name: "CRC-32C",
+  width: 32,
+  poly: 0x1edc6f41,
+  init: 0xffffffff,
+  reflectIn: true,
+  xorOut: 0xffffffff,
+});
+
+/** Adler-32 as used by zlib. */
+export const ADLER32 = {
+  name: "Adler-32",
+  width: 32,
+  compute(bytes) {
+    let a = 1;
+    let b = 0;
+    for (const byte of bytes) {
+      a = (a + byte) % 65521;
+      b = (b + a) % 65521;
+    }
+    return ((b << 16) | a) >>> 0;
+  },
+};
+
+/** Fletcher-16 over bytes. */
+export const FLETCHER16 = {
+  name: "Fletcher-16",
+  width: 16,
+  compute(bytes) {
+    let sum1 = 0;
+    let sum2 = 0;
+    for (const byte of bytes) {
+      sum1 = (sum1 + byte) % 255;
+      sum2 = (sum2 + sum1) % 255;
+    }
+    return (sum2 << 8) | sum1;
+  },
+};
+
+/** Fletcher-32 over little-endian 16-bit words, zero-padding an odd final byte. */
+export const FLETCHER32 = {
+  name: "Fletcher-32",
+  width: 32,
+  compute(bytes) {
+    let sum1 = 0;
+    let sum2 = 0;
+    for (let i = 0; i < bytes.length; i += 2) {
+      const word = bytes[i] | ((bytes[i + 1] ?? 0) << 8);
+      sum1 = (sum1 + word) % 65535;
+      sum2 = (sum2 + sum1) % 65535;
+    }
+    return ((sum2 << 16) | sum1) >>> 0;
+  },
+};
@@ -0,0 +1,176 @@
+/**
+ * A run of bits that differs between two buffers.
+ *
+ * @typedef BitDifference
+ * @type {Object}
+ * @property {number} bitOffset - Bit position where the run starts
+ * @property {number} width - Number of bits in the run
+ * @property {string} a - The run's bits in the first buffer, in stream order
+ * @property {string} b - The run's bits in the second buffer, in stream order
+ * @property {TraceEntry} [field] - The traced field covering the run, if any
+ */
+
+/**
+ * Returns a range of a buffer's bits as a string of 0s and 1s, stopping
+ * at the end of its data. The bits are read through a slice, so views
+ * start at their own first bit rather than at the start of `data`.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to inspect
+ * @param {number} bitOffset - Bit position to start at
+ * @param {number} width - Number of bits
+ * @returns {string} The bits in stream order
+ */
+function bitString(buffer, bitOffset, width) {
+  const end = Math.min(bitOffset + width, buffer.bitLength);
+  if (end <= bitOffset) return "";
+
+  const range = buffer.slice(bitOffset, end - bitOffset);
+  let bits = "";
+  while (!range.isComplete()) bits += range.read.bits(1);
+  return bits;
+}
+
+/**
+ * Formats a traced value for display, shortening long values.
+ *
+ * @param {*} value - Value to format
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  let text;
+  if (typeof value === "bigint") text = `${value}n`;
+  else if (typeof value === "string") text = JSON.stringify(value);
+  else if (value instanceof Uint8Array) {
+    const hex = Array.from(value, (byte) => byte.toString(16).padStart(2, "0"));
+    text = `<${hex.join(" ")}>`;
+  } else if (ArrayBuffer.isView(value) || Array.isArray(value)) {
+    text = `[${Array.from(value).join(", ")}]`;
+  } else if (typeof value === "object" && value !== null) {
+    text = value.name ?? "{…}";
+  } else text = String(value);
+
+  return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+}
+
+/**
+ * Formats a trace entry as a field annotation.
+ *
+ * @param {TraceEntry} entry - Entry to format
+ * @returns {string} The annotation
+ */
+function formatEntry({ method, width, value, label }) {
+  const name = label ? `${label} (${method}, ` : `${method} (`;
+  return `${name}${width} bits) = ${formatValue(value)}`;
+}
+
+/**
+ * Renders a buffer as one line per byte: offset, hex, the bits in stream
+ * order and the traced fields starting in that byte. Field boundaries
+ * inside a byte are marked with `|`, and bits past the end of the data
+ * are shown as `.`.
+ *
+ * For LSB-first buffers the bits are listed from least significant, so
+ * they read in the order they were written.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to render
+ * @param {Object} [options] - Dump options
+ * @param {TraceEntry[]} [options.trace=buffer.trace] - Fields to annotate
+ * @returns {string} The annotated dump
+ */
+function dump(buffer, { trace = buffer.trace ?? [] } = {}) {
+  const fields = trace
+    .filter((entry) => entry.width > 0)
+    .sort((a, b) => a.bitOffset - b.bitOffset);
+  const boundaries = new Set();
+  for (const { bitOffset, width } of fields) {
+    boundaries.add(bitOffset);
+    boundaries.add(bitOffset + width);
+  }
+
+  const byteCount = Math.ceil(buffer.bitLength / 8);
+  const offsetWidth = Math.max(4, byteCount.toString(16).length);
+  const lines = [];
+
+  for (let i = 0; i < byteCount; i++) {
+    const start = i * 8;
+    const byteBits = bitString(buffer, start, 8).padEnd(8, ".");
+    let bits = "";
+    for (let bit = 0; bit < 8; bit++) {
+      if (bit > 0 && boundaries.has(start + bit)) bits += "|";
+      bits += byteBits[bit];
+    }
+
+    const annotations = fields
+      .filter(({ bitOffset }) => bitOffset >= start && bitOffset < start + 8)
+      .map(formatEntry);
+
+    const offset = i.toString(16).padStart(offsetWidth, "0");
+    // Bits past the end of the data count as zeros
+    const streamBits = byteBits.replaceAll(".", "0");
+    const byte = parseInt(
+      buffer.isLsbFirst ? [...streamBits].reverse().join("") : streamBits,
+      2,
+    );
+    const hex = byte.toString(16).padStart(2, "0");
+    const line = `${offset}  ${hex}  ${bits.padEnd(15)}  ${annotations.join("; ")}`;
+    lines.push(line.trimEnd());
+  }
+
+  return lines.join("\n");
+}
+
+/**
+ * Compares two buffers bit by bit and reports where they differ.
+ *
+ * The bits are split into the fields of a trace (by default, that of
+ * `a` or else `b`), with untraced bits grouped by byte. Each group that
+ * differs, including bits present in only one buffer, is reported.
+ *
+ * @param {BitPackedBuffer} a - First buffer
+ * @param {BitPackedBuffer} b - Second buffer
+ * @param {Object} [options] - Diff options
+ * @param {TraceEntry[]} [options.trace=a.trace ?? b.trace] - Fields to compare by
+ * @param {number} [options.limit=10] - Maximum number of differences to report
+ * @returns {BitDifference[]} The first differences, in stream order; empty if equal
+ */
+function diff(a, b, { trace = a.trace ?? b.trace ?? [], limit = 10 } = {}) {
+  const fields = trace
+    .filter((entry) => entry.width > 0)
+    .sort((x, y) => x.bitOffset - y.bitOffset);
+  const bitLength = Math.max(a.bitLength, b.bitLength);
+  const differences = [];
+
+  const compare = (bitOffset, width, field) => {
+    const bitsA = bitString(a, bitOffset, width);
+    const bitsB = bitString(b, bitOffset, width);
+    if (bitsA === bitsB) return;
+    const difference = { bitOffset, width, a: bitsA, b: bitsB };
+    if (field) difference.field = field;
+    differences.push(difference);
+  };
+
+  // Compare untraced bits in byte-sized groups up to the given offset
+  let cursor = 0;
+  const compareGap = (end) => {
+    while (cursor < end && differences.length < limit) {
+      const next = Math.min(end, (Math.floor(cursor / 8) + 1) * 8);
+      compare(cursor, next - cursor);
+      cursor = next;
+    }
+  };
+
+  for (const field of fields) {
+    // Skip fields overlapping earlier ones, such as rewrites after a seek
+    if (field.bitOffset < cursor || field.bitOffset >= bitLength) continue;
+    compareGap(field.bitOffset);
+    if (differences.length < limit) {
+      compare(field.bitOffset, field.width, field);
+    }
+    cursor = field.bitOffset + field.width;
+  }
+  compareGap(bitLength);
+
+  return differences.slice(0, limit);
+}
+
+export { dump, diff };
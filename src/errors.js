@@ -0,0 +1,164 @@
+/**
+ * Where a buffer operation failed. Fields that don't apply to an error
+ * are left undefined.
+ *
+ * @typedef ErrorContext
+ * @type {Object}
+ * @property {number} [bitOffset] - Bit position at which the error occurred
+ * @property {number} [bitCount] - Number of bits requested
+ * @property {number} [available] - Number of bits that were available
+ */
+
+/**
+ * Appends the bit offset of an error to its message, so that it shows
+ * up in logs.
+ *
+ * @param {string} message - Description of the error
+ * @param {number} [bitOffset] - Bit position at which the error occurred
+ * @returns {string} The message
+ */
+function withOffset(message, bitOffset) {
+  return bitOffset === undefined
+    ? message
+    : `${message} (at bit offset ${bitOffset})`;
+}
+
+/**
+ * Copies the context of an error onto it.
+ *
+ * @param {Error} error - Error to annotate
+ * @param {ErrorContext} context - Where the error occurred
+ */
+function assignContext(error, { bitOffset, bitCount, available }) {
+  error.bitOffset = bitOffset;
+  error.bitCount = bitCount;
+  error.available = available;
+}
+
+/**
+ * Error thrown when a read needs more bits than the buffer holds.
+ *
+ * @class BufferUnderrunError
+ * @extends RangeError
+ */
+class BufferUnderrunError extends RangeError {
+  /**
+   * @param {string} [message] - Description of the underrun
+   * @param {ErrorContext} [context] - Where the underrun occurred
+   */
+  constructor(message, context = {}) {
+    message ??=
+      context.bitCount === undefined
+        ? "Buffer underrun while reading bits"
+        : `Buffer underrun: ${context.bitCount} bits requested, ${context.available} available`;
+    super(withOffset(message, context.bitOffset));
+    this.name = "BufferUnderrunError";
+    assignContext(this, context);
+  }
+}
+
+/**
+ * Error thrown when a write or seek would go past the end of a buffer
+ * that can't grow, such as a view.
+ *
+ * @class BufferOverflowError
+ * @extends RangeError
+ */
+class BufferOverflowError extends RangeError {
+  /**
+   * @param {string} [message] - Description of the overflow
+   * @param {ErrorContext} [context] - Where the overflow occurred
+   */
+  constructor(message, context = {}) {
+    message ??= `Buffer overflow: ${context.bitCount} bits needed, ${context.available} available`;
+    super(withOffset(message, context.bitOffset));
+    this.name = "BufferOverflowError";
+    assignContext(this, context);
+  }
+}
+
+/**
+ * Error thrown when an operation is asked for an unsupported number of bits.
+ *
+ * @class InvalidBitCountError
+ * @extends RangeError
+ */
+class InvalidBitCountError extends RangeError {
+  /**
+   * @param {string} message - Description of the valid range
+   * @param {ErrorContext} [context] - Where the error occurred
+   */
+  constructor(message, context = {}) {
+    super(withOffset(message, context.bitOffset));
+    this.name = "InvalidBitCountError";
+    assignContext(this, context);
+  }
+}
+
+/**
+ * Error thrown when a mark that was never created is used.
+ *
+ * @class MissingMarkError
+ * @extends Error
+ */
+class MissingMarkError extends Error {
+  /**
+   * @param {string|Symbol} mark - Name of the missing mark
+   * @param {ErrorContext} [context] - Where the error occurred
+   */
+  constructor(mark, context = {}) {
+    super(withOffset(`Mark '${String(mark)}' not found`, context.bitOffset));
+    this.name = "MissingMarkError";
+    this.mark = mark;
+    assignContext(this, context);
+  }
+}
+
+/**
+ * Error thrown when a value can't be written in the requested encoding.
+ *
+ * @class ValueOutOfRangeError
+ * @extends RangeError
+ */
+class ValueOutOfRangeError extends RangeError {
+  /**
+   * @param {string} message - Description of the valid range
+   * @param {*} value - The rejected value
+   * @param {ErrorContext} [context] - Where the error occurred
+   */
+  constructor(message, value, context = {}) {
+    super(withOffset(message, context.bitOffset));
+    this.name = "ValueOutOfRangeError";
+    this.value = value;
+    assignContext(this, context);
+  }
+}
+
+/**
+ * Error thrown when the data being read is malformed: an overlong
+ * variable-length code, an unassigned Huffman code or a checksum
+ * mismatch. Also thrown for a varint too large to read as a number.
+ *
+ * @class InvalidEncodingError
+ * @extends RangeError
+ */
+class InvalidEncodingError extends RangeError {
+  /**
+   * @param {string} message - Description of the problem
+   * @param {ErrorContext} [context] - Where the malformed data starts
+   */
+  constructor(message, context = {}) {
+    super(withOffset(message, context.bitOffset));
+    this.name = "InvalidEncodingError";
+    assignContext(this, context);
+  }
+}
+
+export {
+  BufferUnderrunError,
+  BufferOverflowError,
+  InvalidBitCountError,
+  MissingMarkError,
+  ValueOutOfRangeError,
+  InvalidEncodingError,
+};
@@ -0,0 +1,250 @@
+import { InvalidEncodingError } from "./errors.js";
+
+/**
+ * An escaping layer usable with the `escaping` option of
+ * `BitPackedBuffer`: the buffer unescapes its initial contents, and
+ * `getBuffer()` escapes what was written.
+ *
+ * Both methods take the data and its exact length in bits, along with
+ * the buffer's bit order, and return the transformed data the same way.
+ *
+ * @typedef EscapingLayer
+ * @type {Object}
+ * @property {string} name - Name of the layer
+ * @property {function(Uint8Array, EscapingOptions): EscapedData} escape - Escapes raw data
+ * @property {function(Uint8Array, EscapingOptions): EscapedData} unescape - Recovers raw data
+ */
+
+/**
+ * @typedef EscapingOptions
+ * @type {Object}
+ * @property {number} bitLength - Number of bits of data in the bytes
+ * @property {boolean} lsbFirst - Whether bits are packed least significant first
+ */
+
+/**
+ * @typedef EscapedData
+ * @type {Object}
+ * @property {Uint8Array} bytes - The data
+ * @property {number} bitLength - Number of bits of data in the bytes
+ */
+
+/**
+ * Wraps whole bytes as the result of an escaping layer.
+ *
+ * @param {Uint8Array} bytes - The bytes
+ * @returns {EscapedData} The bytes and their length in bits
+ */
+function wholeBytes(bytes) {
+  return { bytes, bitLength: bytes.length * 8 };
+}
+
+/**
+ * H.264/HEVC emulation prevention: a 0x03 byte follows every two zero
+ * bytes that would otherwise be followed by a byte up to 0x03, so NAL
+ * unit payloads (RBSP) can't contain start codes.
+ */
+export const EMULATION_PREVENTION = {
+  name: "Emulation prevention",
+  escape(bytes) {
+    const escaped = new Uint8Array(bytes.length + (bytes.length >> 1) + 1);
+    let length = 0;
+    let zeros = 0;
+    for (const byte of bytes) {
+      if (zeros >= 2 && byte <= 0x03) {
+        escaped[length++] = 0x03;
+        zeros = 0;
+      }
+      escaped[length++] = byte;
+      zeros = byte === 0 ? zeros + 1 : 0;
+    }
+    // Data ending in zero bytes (cabac_zero_words) gets a final 0x03, so
+    // they can't run into the next start code
+    if (zeros >= 2) escaped[length++] = 0x03;
+    return wholeBytes(escaped.slice(0, length));
+  },
+  unescape(bytes) {
+    const raw = new Uint8Array(bytes.length);
+    let length = 0;
+    let zeros = 0;
+    for (const byte of bytes) {
+      if (zeros >= 2 && byte === 0x03) {
+        zeros = 0;
+        continue;
+      }
+      raw[length++] = byte;
+      zeros = byte === 0 ? zeros + 1 : 0;
+    }
+    return wholeBytes(raw.slice(0, length));
+  },
+};
+
+/**
+ * JPEG byte stuffing: a 0x00 byte follows every 0xFF in entropy-coded
+ * data, so it can't be mistaken for a marker.
+ */
+export const JPEG_BYTE_STUFFING = {
+  name: "JPEG byte stuffing",
+  escape(bytes) {
+    const escaped = new Uint8Array(bytes.length * 2);
+    let length = 0;
+    for (const byte of bytes) {
+      escaped[length++] = byte;
+      if (byte === 0xff) escaped[length++] = 0x00;
+    }
+    return wholeBytes(escaped.slice(0, length));
+  },
+  unescape(bytes) {
+    const raw = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; i++) {
+      raw[length++] = bytes[i];
+      if (bytes[i] === 0xff && bytes[i + 1] === 0x00) i++;
+    }
+    return wholeBytes(raw.slice(0, length));
+  },
+};
+
+/**
+ * Consistent Overhead Byte Stuffing: removes every zero byte, so that
+ * 0x00 can delimit frames. The delimiter itself is not added, and a
+ * trailing one is ignored when unescaping.
+ */
+export const COBS = {
+  name: "COBS",
+  escape(bytes) {
+    const escaped = new Uint8Array(
+      bytes.length + Math.ceil(bytes.length / 254) + 2,
+    );
+    let codeIndex = 0;
+    let code = 1;
+    let length = 1;
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      if (byte !== 0) {
+        escaped[length++] = byte;
+        code++;
+      }
+      if (byte === 0 || code === 0xff) {
+        escaped[codeIndex] = code;
+        codeIndex = length;
+        code = 1;
+        // A full block at the very end needs no code byte after it
+        if (byte === 0 || i < bytes.length - 1) length++;
+      }
+    }
+    escaped[codeIndex] = code;
+    return wholeBytes(escaped.slice(0, length));
+  },
+  unescape(bytes) {
+    const raw = new Uint8Array(bytes.length);
+    let length = 0;
+    for (let i = 0; i < bytes.length; ) {
+      const code = bytes[i];
+      if (code === 0) {
+        if (i === bytes.length - 1) break;
+        throw new InvalidEncodingError("Unexpected zero byte in COBS data", {
+          bitOffset: i * 8,
+        });
+      }
+      if (i + code > bytes.length) {
+        throw new InvalidEncodingError("COBS block runs past the end", {
+          bitOffset: i * 8,
+        });
+      }
+
+      const block = bytes.subarray(i + 1, i + code);
+      const zero = block.indexOf(0);
+      if (zero !== -1) {
+        throw new InvalidEncodingError("Unexpected zero byte in COBS data", {
+          bitOffset: (i + 1 + zero) * 8,
+        });
+      }
+
+      raw.set(block, length);
+      length += code - 1;
+      i += code;
+      // Every block but a full one stands for a zero byte, unless it's the last
+      if (code < 0xff && i < bytes.length && bytes[i] !== 0) raw[length++] = 0;
+    }
+    return wholeBytes(raw.slice(0, length));
+  },
+};
+
+/**
+ * Returns a bit of some bytes, in stream order.
+ *
+ * @param {Uint8Array} bytes - Bytes to read
+ * @param {number} index - Bit position
+ * @param {boolean} lsbFirst - Whether bits are packed least significant first
+ * @returns {number} The bit (0 or 1)
+ */
+function getBit(bytes, index, lsbFirst) {
+  const shift = lsbFirst ? index & 7 : 7 - (index & 7);
+  return (bytes[index >>> 3] >>> shift) & 1;
+}
+
+/**
+ * Sets a bit of some zero-filled bytes, in stream order.
+ *
+ * @param {Uint8Array} bytes - Bytes to write
+ * @param {number} index - Bit position
+ * @param {boolean} lsbFirst - Whether bits are packed least significant first
+ */
+function setBit(bytes, index, lsbFirst) {
+  const shift = lsbFirst ? index & 7 : 7 - (index & 7);
+  bytes[index >>> 3] |= 1 << shift;
+}
+
+/**
+ * HDLC bit stuffing: a 0 bit follows every five consecutive 1 bits, so
+ * the data can't contain the 0x7E flag. Bits are counted in stream
+ * order, so use `bitOrder: 'lsb'` for HDLC's least significant bit first
+ * transmission.
+ */
+export const HDLC_BIT_STUFFING = {
+  name: "HDLC bit stuffing",
+  escape(bytes, { bitLength, lsbFirst }) {
+    const escaped = new Uint8Array(Math.ceil((bitLength * 6) / 5 / 8) + 1);
+    let length = 0;
+    let ones = 0;
+    for (let i = 0; i < bitLength; i++) {
+      if (getBit(bytes, i, lsbFirst)) {
+        setBit(escaped, length, lsbFirst);
+        ones++;
+      } else {
+        ones = 0;
+      }
+      length++;
+      if (ones === 5) {
+        length++;
+        ones = 0;
+      }
+    }
+    return {
+      bytes: escaped.slice(0, Math.ceil(length / 8)),
+      bitLength: length,
+    };
+  },
+  unescape(bytes, { bitLength, lsbFirst }) {
+    const raw = new Uint8Array(bytes.length);
+    let length = 0;
+    let ones = 0;
+    for (let i = 0; i < bitLength; i++) {
+      const bit = getBit(bytes, i, lsbFirst);
+      if (ones === 5) {
+        if (bit) {
+          throw new InvalidEncodingError("Six consecutive 1 bits", {
+            bitOffset: i - 5,
+          });
+        }
+        ones = 0;
+        continue;
+      }
+      if (bit) setBit(raw, length, lsbFirst);
+      ones = bit ? ones + 1 : 0;
+      length++;
+    }
+    return { bytes: raw.slice(0, Math.ceil(length / 8)), bitLength: length };
+  },
+};
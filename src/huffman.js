@@ -0,0 +1,343 @@
+import {
+  BufferUnderrunError,
+  InvalidEncodingError,
+  ValueOutOfRangeError,
+} from "./errors.js";
+import { reverseBits } from "./utils.js";
+
+const kMaxCodeLength = 20;
+const kBigEndian = { endian: "big" };
+const kLittleEndian = { endian: "little" };
+
+/**
+ * Returns the byte order that keeps wide values in stream order: the one
+ * that matches the bit order of a buffer, so that its bytes aren't swapped.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to read or write
+ * @returns {Object} Options for the buffer's `uint` operations
+ */
+function streamOrder(buffer) {
+  return buffer.isLsbFirst ? kLittleEndian : kBigEndian;
+}
+
+/**
+ * Peeks bits in stream order, whatever the byte order of the buffer.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to peek from
+ * @param {number} count - Number of bits to peek (1-32)
+ * @returns {number} The peeked bits
+ */
+function peekStreamBits(buffer, count) {
+  return buffer.peek.uint(count, streamOrder(buffer));
+}
+
+/**
+ * Writes bits in stream order, whatever the byte order of the buffer.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to write to
+ * @param {number} value - Bits to write
+ * @param {number} count - Number of bits to write (1-32)
+ * @returns {BitPackedBuffer} The buffer, for chaining
+ */
+function writeStreamBits(buffer, value, count) {
+  return buffer.write.uint(value, count, streamOrder(buffer));
+}
+
+/**
+ * Computes Huffman code lengths from symbol frequencies, limiting the
+ * longest code to `maxLength` bits.
+ *
+ * @param {number[]} frequencies - Frequency of each symbol (0 = unused)
+ * @param {number} maxLength - Maximum code length in bits
+ * @returns {number[]} Code length of each symbol
+ */
+function lengthsFromFrequencies(frequencies, maxLength) {
+  const lengths = new Array(frequencies.length).fill(0);
+  const used = [];
+  frequencies.forEach((frequency, symbol) => {
+    if (frequency > 0) used.push(symbol);
+  });
+
+  if (used.length === 0) return lengths;
+  if (used.length === 1) {
+    lengths[used[0]] = 1;
+    return lengths;
+  }
+  if (used.length > 2 ** maxLength) {
+    throw new RangeError(
+      `Cannot code ${used.length} symbols in at most ${maxLength} bits`,
+    );
+  }
+
+  // Merge the two lightest nodes until one tree remains, using a sorted
+  // queue of leaves and a queue of merged nodes (which is sorted by
+  // construction)
+  used.sort((a, b) => frequencies[a] - frequencies[b] || a - b);
+  const leaves = used.map((symbol) => ({ weight: frequencies[symbol] }));
+  const merged = [];
+  const parents = new Map();
+  let leaf = 0;
+  let node = 0;
+
+  const takeLightest = () => {
+    if (
+      node >= merged.length ||
+      (leaf < leaves.length && leaves[leaf].weight <= merged[node].weight)
+    ) {
+      return leaves[leaf++];
+    }
+    return merged[node++];
+  };
+
+  for (let i = 1; i < used.length; i++) {
+    const a = takeLightest();
+    const b = takeLightest();
+    const parent = { weight: a.weight + b.weight };
+    parents.set(a, parent);
+    parents.set(b, parent);
+    merged.push(parent);
+  }
+
+  // Count how many leaves end up at each depth
+  const counts = new Array(Math.max(used.length, maxLength) + 1).fill(0);
+  for (const current of leaves) {
+    let depth = 0;
+    for (let n = current; parents.has(n); n = parents.get(n)) depth++;
+    counts[depth]++;
+  }
+
+  // Move leaves deeper than maxLength up, keeping the code complete
+  // (the procedure from JPEG Annex K.3)
+  for (let length = counts.length - 1; length > maxLength; length--) {
+    while (counts[length] > 0) {
+      let shorter = length - 2;
+      while (counts[shorter] === 0) shorter--;
+      counts[length] -= 2;
+      counts[length - 1] += 1;
+      counts[shorter + 1] += 2;
+      counts[shorter] -= 1;
+    }
+  }
+
+  // Hand out the shortest lengths to the most frequent symbols
+  let index = used.length - 1;
+  for (let length = 1; length <= maxLength; length++) {
+    for (let i = 0; i < counts[length]; i++) {
+      lengths[used[index--]] = length;
+    }
+  }
+
+  return lengths;
+}
+
+/**
+ * A canonical Huffman code: each symbol's code is determined by the
+ * code lengths alone, as in DEFLATE and JPEG.
+ *
+ * Codes are written and read most significant bit first in the bitstream,
+ * which for LSB-first buffers (`bitOrder: 'lsb'`) matches DEFLATE. Decoding
+ * uses a lookup table indexed by the next `maxLength` bits.
+ *
+ * @class HuffmanCode
+ */
+class HuffmanCode {
+  #tables = {};
+
+  /**
+   * Creates a canonical Huffman code from code lengths.
+   *
+   * @param {number[]} lengths - Code length of each symbol in bits (0 = unused)
+   * @throws {RangeError} If a length is invalid or the lengths are over-subscribed
+   */
+  constructor(lengths) {
+    const maxLength = Math.max(0, ...lengths);
+    if (
+      maxLength > kMaxCodeLength ||
+      lengths.some((length) => !Number.isInteger(length) || length < 0)
+    ) {
+      throw new RangeError(
+        `Code lengths must be integers between 0 and ${kMaxCodeLength}`,
+      );
+    }
+
+    const counts = new Array(maxLength + 1).fill(0);
+    for (const length of lengths) if (length > 0) counts[length]++;
+
+    // Each length can use at most the codes left over by shorter lengths
+    let available = 1;
+    for (let length = 1; length <= maxLength; length++) {
+      available = available * 2 - counts[length];
+      if (available < 0) {
+        throw new RangeError("Code lengths are over-subscribed");
+      }
+    }
+
+    const nextCode = new Array(maxLength + 1).fill(0);
+    for (let length = 2; length <= maxLength; length++) {
+      nextCode[length] = (nextCode[length - 1] + counts[length - 1]) << 1;
+    }
+
+    this.lengths = Array.from(lengths);
+    this.codes = this.lengths.map((length) =>
+      length > 0 ? nextCode[length]++ : 0,
+    );
+    this.maxLength = maxLength;
+  }
+
+  /**
+   * Creates a canonical Huffman code from code lengths.
+   *
+   * @param {number[]} lengths - Code length of each symbol in bits (0 = unused)
+   * @returns {HuffmanCode} The Huffman code
+   * @throws {RangeError} If the lengths are invalid
+   */
+  static fromLengths(lengths) {
+    return new HuffmanCode(lengths);
+  }
+
+  /**
+   * Creates an optimal canonical Huffman code from symbol frequencies.
+   *
+   * @param {number[]} frequencies - Frequency of each symbol (0 = unused)
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxLength=15] - Maximum code length in bits
+   * @returns {HuffmanCode} The Huffman code
+   * @throws {RangeError} If the symbols cannot be coded within maxLength bits
+   */
+  static fromFrequencies(frequencies, { maxLength = 15 } = {}) {
+    if (
+      !Number.isInteger(maxLength) ||
+      maxLength < 1 ||
+      maxLength > kMaxCodeLength
+    ) {
+      throw new RangeError(
+        `Maximum length must be between 1 and ${kMaxCodeLength}`,
+      );
+    }
+    return new HuffmanCode(lengthsFromFrequencies(frequencies, maxLength));
+  }
+
+  /**
+   * Returns the decoding table for a bit order, building it on first use.
+   * Each entry packs `symbol << 5 | length`, or is -1 for unused codes.
+   *
+   * @private
+   * @param {boolean} lsbFirst - Whether the table is for LSB-first buffers
+   * @returns {Int32Array} The lookup table
+   */
+  #table(lsbFirst) {
+    const key = lsbFirst ? "lsb" : "msb";
+    if (this.#tables[key]) return this.#tables[key];
+
+    const { maxLength } = this;
+    const table = new Int32Array(2 ** maxLength).fill(-1);
+
+    this.lengths.forEach((length, symbol) => {
+      if (length === 0) return;
+      const entry = (symbol << 5) | length;
+      const padding = maxLength - length;
+      const code = this.codes[symbol];
+
+      // Fill every index whose leading bits (in stream order) are the code
+      for (let fill = 0; fill < 2 ** padding; fill++) {
+        const index = lsbFirst
+          ? reverseBits(code, length) | (fill << length)
+          : (code << padding) | fill;
+        table[index] = entry;
+      }
+    });
+
+    this.#tables[key] = table;
+    return table;
+  }
+
+  /**
+   * Looks up the code at the current position of a buffer.
+   *
+   * @private
+   * @param {BitPackedBuffer} buffer - Buffer to read from
+   * @returns {number} The table entry
+   * @throws {BufferUnderrunError} If the buffer ends inside a code
+   * @throws {InvalidEncodingError} If the bits don't form a valid code
+   */
+  #lookup(buffer) {
+    const { maxLength } = this;
+    const available = Math.min(maxLength, buffer.bitsRemaining());
+    const underrun = (bitCount) =>
+      new BufferUnderrunError(undefined, {
+        bitOffset: buffer.bitPosition,
+        bitCount,
+        available,
+      });
+    if (available === 0) throw underrun(1);
+
+    // Near the end of the buffer, pad the missing bits with zeros
+    let bits = peekStreamBits(buffer, available);
+    if (!buffer.isLsbFirst) bits <<= maxLength - available;
+
+    const entry = this.#table(buffer.isLsbFirst)[bits];
+    if (entry === -1) {
+      if (available < maxLength) throw underrun(maxLength);
+      throw new InvalidEncodingError("Invalid Huffman code", {
+        bitOffset: buffer.bitPosition,
+        bitCount: maxLength,
+      });
+    }
+    if ((entry & 0x1f) > available) throw underrun(entry & 0x1f);
+    return entry;
+  }
+
+  /**
+   * Reads a symbol from the current position of a buffer.
+   *
+   * @param {BitPackedBuffer} buffer - Buffer to read from
+   * @returns {number} The decoded symbol
+   * @throws {BufferUnderrunError} If the buffer ends inside a code
+   * @throws {InvalidEncodingError} If the bits don't form a valid code
+   */
+  read(buffer) {
+    const entry = this.#lookup(buffer);
+    buffer.skipBits(entry & 0x1f);
+    return entry >>> 5;
+  }
+
+  /**
+   * Decodes the symbol at the current position without advancing.
+   *
+   * @param {BitPackedBuffer} buffer - Buffer to read from
+   * @returns {number} The decoded symbol
+   * @throws {BufferUnderrunError} If the buffer ends inside a code
+   * @throws {InvalidEncodingError} If the bits don't form a valid code
+   */
+  peek(buffer) {
+    return this.#lookup(buffer) >>> 5;
+  }
+
+  /**
+   * Writes the code for a symbol at the current position of a buffer.
+   *
+   * @param {BitPackedBuffer} buffer - Buffer to write to
+   * @param {number} symbol - Symbol to encode
+   * @returns {BitPackedBuffer} The buffer, for chaining
+   * @throws {ValueOutOfRangeError} If the symbol has no code
+   */
+  write(buffer, symbol) {
+    const length = this.lengths[symbol];
+    if (!length) {
+      throw new ValueOutOfRangeError(
+        `Symbol ${symbol} has no Huffman code`,
+        symbol,
+        { bitOffset: buffer.bitPosition },
+      );
+    }
+
+    const code = this.codes[symbol];
+    return writeStreamBits(
+      buffer,
+      buffer.isLsbFirst ? reverseBits(code, length) : code,
+      length,
+    );
+  }
+}
+
+export { HuffmanCode };
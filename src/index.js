@@ -0,0 +1,32 @@
+export { BitPackedBuffer } from "./buffer.js";
+export {
+  crc,
+  CRC8,
+  CRC16_ARC,
+  CRC16_MODBUS,
+  CRC16_CCITT_FALSE,
+  CRC16_XMODEM,
+  CRC32,
+  CRC32C,
+  ADLER32,
+  FLETCHER16,
+  FLETCHER32,
+} from "./checksum.js";
+export {
+  BufferUnderrunError,
+  BufferOverflowError,
+  InvalidBitCountError,
+  MissingMarkError,
+  ValueOutOfRangeError,
+  InvalidEncodingError,
+} from "./errors.js";
+export { dump, diff } from "./debug.js";
+export {
+  EMULATION_PREVENTION,
+  JPEG_BYTE_STUFFING,
+  COBS,
+  HDLC_BIT_STUFFING,
+} from "./escaping.js";
+export { HuffmanCode } from "./huffman.js";
+export { Schema, SchemaError } from "./schema.js";
+export { BitStreamReader, BitStreamWriter } from "./stream.js";
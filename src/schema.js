@@ -0,0 +1,513 @@
+import { BitPackedBuffer } from "./buffer.js";
+import { encodeString } from "./text.js";
+
+/**
+ * Error raised when a schema definition is invalid, or when a value
+ * cannot be encoded or decoded. The `path` property names the
+ * offending field, e.g. `header.flags` or `samples[2].x`.
+ *
+ * @class SchemaError
+ * @extends Error
+ */
+class SchemaError extends Error {
+  /**
+   * @param {string} path - Path of the offending field
+   * @param {string} message - Description of the problem
+   * @param {Object} [options] - Standard error options (e.g. `cause`)
+   */
+  constructor(path, message, options) {
+    super(`${path || "<root>"}: ${message}`, options);
+    this.name = "SchemaError";
+    this.path = path;
+  }
+}
+
+// Field types that take a `bits` width, with their maximum width
+const kWidthTypes = { uint: 32, int: 32, bits: 32, bigUint: 64, bigInt: 64 };
+
+// Field types that map directly onto an argument-less read/write method
+const kNumberTypes = new Set([
+  "float16",
+  "float32",
+  "float64",
+  "varint",
+  "signedVarint",
+  "zigzagVarint",
+  "vlq",
+  "expGolomb",
+  "signedExpGolomb",
+  "eliasGamma",
+  "eliasDelta",
+]);
+const kBigIntTypes = new Set([
+  "bigVarint",
+  "bigSignedVarint",
+  "bigZigzagVarint",
+  "bigVlq",
+]);
+
+/**
+ * Builds the path of a child field.
+ *
+ * @param {string} path - Path of the parent
+ * @param {string|number} key - Field name or array index
+ * @returns {string} The child path
+ */
+function childPath(path, key) {
+  if (typeof key === "number") return `${path}[${key}]`;
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Resolves a count or length that is either fixed, the name of a
+ * previously processed sibling field, or a function of the parent.
+ *
+ * @param {number|string|function(Object): number} spec - Count specification
+ * @param {Object} parent - The struct being processed
+ * @param {string} path - Path of the field, for error messages
+ * @returns {number} The resolved count
+ */
+function resolveCount(spec, parent, path) {
+  let count = spec;
+  if (typeof spec === "string") count = parent[spec];
+  else if (typeof spec === "function") count = spec(parent);
+
+  if (!Number.isInteger(count) || count < 0) {
+    throw new SchemaError(
+      path,
+      `count must be a non-negative integer, got ${String(count)}`,
+    );
+  }
+  return count;
+}
+
+/**
+ * Validates a field definition, recursing into structs and arrays.
+ *
+ * @param {Object} field - Field definition
+ * @param {string} path - Path of the field
+ * @throws {SchemaError} If the definition is invalid
+ */
+function validateDefinition(field, path) {
+  const { type } = field;
+
+  if (type in kWidthTypes) {
+    const max = kWidthTypes[type];
+    if (!Number.isInteger(field.bits) || field.bits < 1 || field.bits > max) {
+      throw new SchemaError(
+        path,
+        `'${type}' requires bits between 1 and ${max}`,
+      );
+    }
+  } else if (type === "struct") {
+    if (!(field.schema instanceof Schema) && !Array.isArray(field.fields)) {
+      throw new SchemaError(path, "'struct' requires fields or a schema");
+    }
+    if (field.fields) validateFields(field.fields, path);
+  } else if (type === "array") {
+    if (field.count === undefined) {
+      throw new SchemaError(path, "'array' requires a count");
+    }
+    if (!field.of) {
+      throw new SchemaError(path, "'array' requires an element type");
+    }
+    validateDefinition(field.of, `${path}[]`);
+  } else if (type === "string" || type === "bytes") {
+    if (field.length === undefined) {
+      throw new SchemaError(path, `'${type}' requires a length`);
+    }
+  } else if (type === "rice" || type === "golomb") {
+    const param = type === "rice" ? "k" : "m";
+    if (!Number.isInteger(field[param])) {
+      throw new SchemaError(path, `'${type}' requires an integer ${param}`);
+    }
+  } else if (
+    type !== "bool" &&
+    type !== "cString" &&
+    !kNumberTypes.has(type) &&
+    !kBigIntTypes.has(type)
+  ) {
+    throw new SchemaError(path, `unknown field type '${type}'`);
+  }
+}
+
+/**
+ * Validates a list of field definitions.
+ *
+ * @param {Object[]} fields - Field definitions
+ * @param {string} path - Path of the enclosing struct
+ * @throws {SchemaError} If any definition is invalid
+ */
+function validateFields(fields, path) {
+  for (const field of fields) {
+    if (field.type === "align") continue;
+    if (typeof field.name !== "string" || field.name === "") {
+      throw new SchemaError(path, `field of type '${field.type}' needs a name`);
+    }
+    validateDefinition(field, childPath(path, field.name));
+  }
+}
+
+/**
+ * Checks that a value fits a fixed-width integer field.
+ *
+ * @param {Object} field - Field definition
+ * @param {*} value - Value to check
+ * @param {string} path - Path of the field
+ * @throws {SchemaError} If the value is out of range
+ */
+function checkWidth(field, value, path) {
+  const { type, bits } = field;
+  const isBig = type === "bigUint" || type === "bigInt";
+  const signed = type === "int" || type === "bigInt";
+
+  if (isBig ? typeof value !== "bigint" : !Number.isInteger(value)) {
+    throw new SchemaError(
+      path,
+      `expected ${isBig ? "a BigInt" : "an integer"}, got ${String(value)}`,
+    );
+  }
+
+  const [zero, one, two] = isBig ? [0n, 1n, 2n] : [0, 1, 2];
+  const width = isBig ? BigInt(bits) : bits;
+  const min = signed ? -(two ** (width - one)) : zero;
+  const max = (signed ? two ** (width - one) : two ** width) - one;
+
+  if (value < min || value > max) {
+    throw new SchemaError(
+      path,
+      `value ${value} does not fit in ${bits}-bit ${type} (${min} to ${max})`,
+    );
+  }
+}
+
+/**
+ * Reads a single field value.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to read from
+ * @param {Object} field - Field definition
+ * @param {Object} parent - The struct being decoded
+ * @param {string} path - Path of the field
+ * @returns {*} The decoded value
+ */
+function readValue(buffer, field, parent, path) {
+  const { type } = field;
+
+  switch (type) {
+    case "bool":
+      return buffer.read.bits(1) === 1;
+    case "string":
+      return buffer.read.string(
+        resolveCount(field.length, parent, path),
+        field.encoding,
+      );
+    case "cString":
+      return buffer.read.cString(field.encoding);
+    case "bytes":
+      return buffer.read.bytes(resolveCount(field.length, parent, path));
+    case "rice":
+      return buffer.read.rice(field.k);
+    case "golomb":
+      return buffer.read.golomb(field.m);
+    case "struct":
+      return readFields(buffer, structFields(field), path);
+    case "array": {
+      const count = resolveCount(field.count, parent, path);
+      const result = [];
+      for (let i = 0; i < count; i++) {
+        result.push(readField(buffer, field.of, parent, childPath(path, i)));
+      }
+      return result;
+    }
+  }
+
+  if (type in kWidthTypes) return buffer.read[type](field.bits);
+  return buffer.read[type]();
+}
+
+/**
+ * Reads a single field value, attaching the field path to any error.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to read from
+ * @param {Object} field - Field definition
+ * @param {Object} parent - The struct being decoded
+ * @param {string} path - Path of the field
+ * @returns {*} The decoded value
+ * @throws {SchemaError} If the value cannot be read
+ */
+function readField(buffer, field, parent, path) {
+  try {
+    return readValue(buffer, field, parent, path);
+  } catch (error) {
+    if (error instanceof SchemaError) throw error;
+    throw new SchemaError(path, error.message, { cause: error });
+  }
+}
+
+/**
+ * Reads a list of fields into a new object.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to read from
+ * @param {Object[]} fields - Field definitions
+ * @param {string} path - Path of the enclosing struct
+ * @returns {Object} The decoded struct
+ */
+function readFields(buffer, fields, path) {
+  const result = {};
+
+  for (const field of fields) {
+    if (field.type === "align") {
+      buffer.alignToByte();
+      continue;
+    }
+    if (field.when && !field.when(result)) continue;
+
+    const fieldPath = childPath(path, field.name);
+    result[field.name] = readField(buffer, field, result, fieldPath);
+  }
+
+  return result;
+}
+
+/**
+ * Writes a single field value.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to write to
+ * @param {Object} field - Field definition
+ * @param {*} value - Value to write
+ * @param {Object} parent - The struct being encoded
+ * @param {string} path - Path of the field
+ */
+function writeValue(buffer, field, value, parent, path) {
+  const { type } = field;
+
+  if (value === undefined) throw new SchemaError(path, "missing value");
+
+  if (type in kWidthTypes) {
+    checkWidth(field, value, path);
+    buffer.write[type](value, field.bits);
+    return;
+  }
+
+  if (kNumberTypes.has(type) && typeof value !== "number") {
+    throw new SchemaError(path, `expected a number, got ${String(value)}`);
+  }
+  if (kBigIntTypes.has(type) && typeof value !== "bigint") {
+    throw new SchemaError(path, `expected a BigInt, got ${String(value)}`);
+  }
+
+  switch (type) {
+    case "bool":
+      if (typeof value !== "boolean") {
+        throw new SchemaError(path, `expected a boolean, got ${String(value)}`);
+      }
+      buffer.write.bits(value ? 1 : 0, 1);
+      return;
+    case "string":
+    case "cString": {
+      if (typeof value !== "string") {
+        throw new SchemaError(path, `expected a string, got ${String(value)}`);
+      }
+      if (type === "cString") {
+        buffer.write.cString(value, field.encoding);
+        return;
+      }
+      const bytes = encodeString(value, field.encoding, buffer.bitPosition);
+      checkLength(bytes.length, field.length, parent, path);
+      buffer.write.bytes(bytes);
+      return;
+    }
+    case "bytes":
+      if (!(value instanceof Uint8Array)) {
+        throw new SchemaError(path, "expected a Uint8Array");
+      }
+      checkLength(value.length, field.length, parent, path);
+      buffer.write.bytes(value);
+      return;
+    case "rice":
+      buffer.write.rice(value, field.k);
+      return;
+    case "golomb":
+      buffer.write.golomb(value, field.m);
+      return;
+    case "struct":
+      if (typeof value !== "object" || value === null) {
+        throw new SchemaError(path, "expected an object");
+      }
+      writeFields(buffer, structFields(field), value, path);
+      return;
+    case "array":
+      if (!Array.isArray(value) && !ArrayBuffer.isView(value)) {
+        throw new SchemaError(path, "expected an array");
+      }
+      checkLength(value.length, field.count, parent, path);
+      for (let i = 0; i < value.length; i++) {
+        writeField(buffer, field.of, value[i], parent, childPath(path, i));
+      }
+      return;
+  }
+
+  buffer.write[type](value);
+}
+
+/**
+ * Writes a single field value, attaching the field path to any error.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to write to
+ * @param {Object} field - Field definition
+ * @param {*} value - Value to write
+ * @param {Object} parent - The struct being encoded
+ * @param {string} path - Path of the field
+ * @throws {SchemaError} If the value cannot be written
+ */
+function writeField(buffer, field, value, parent, path) {
+  try {
+    writeValue(buffer, field, value, parent, path);
+  } catch (error) {
+    if (error instanceof SchemaError) throw error;
+    throw new SchemaError(path, error.message, { cause: error });
+  }
+}
+
+/**
+ * Writes the fields of a struct.
+ *
+ * @param {BitPackedBuffer} buffer - Buffer to write to
+ * @param {Object[]} fields - Field definitions
+ * @param {Object} value - The struct to encode
+ * @param {string} path - Path of the enclosing struct
+ */
+function writeFields(buffer, fields, value, path) {
+  for (const field of fields) {
+    if (field.type === "align") {
+      buffer.alignToByte();
+      continue;
+    }
+    if (field.when && !field.when(value)) continue;
+
+    const fieldPath = childPath(path, field.name);
+    writeField(buffer, field, value[field.name], value, fieldPath);
+  }
+}
+
+/**
+ * Checks that a length matches its fixed or field-referenced count.
+ *
+ * @param {number} actual - Actual length of the value
+ * @param {number|string|function(Object): number} spec - Count specification
+ * @param {Object} parent - The struct being encoded
+ * @param {string} path - Path of the field
+ * @throws {SchemaError} If the lengths differ
+ */
+function checkLength(actual, spec, parent, path) {
+  const expected = resolveCount(spec, parent, path);
+  if (actual !== expected) {
+    const source = typeof spec === "string" ? ` (from '${spec}')` : "";
+    throw new SchemaError(
+      path,
+      `length ${actual} does not match expected ${expected}${source}`,
+    );
+  }
+}
+
+/**
+ * Returns the field list of a struct definition.
+ *
+ * @param {Object} field - Struct field definition
+ * @returns {Object[]} Field definitions
+ */
+function structFields(field) {
+  return field.schema ? field.schema.fields : field.fields;
+}
+
+/**
+ * A declarative description of a bit-packed layout that can decode
+ * buffers into objects and encode objects back into bytes.
+ *
+ * Each field is an object with a `name` and a `type`:
+ * - `uint`, `int`, `bits` (1-32 bits) and `bigUint`, `bigInt` (1-64 bits) take `bits`
+ * - `bool` is a single bit
+ * - `string` and `bytes` take a `length`; `string` and `cString` take an optional `encoding`
+ * - `float16`, `float32`, `float64`, the varint types and the Exp-Golomb/Elias types take no options
+ * - `rice` takes `k` and `golomb` takes `m`
+ * - `struct` takes nested `fields` or a `schema`
+ * - `array` takes a `count` and an element definition in `of`
+ * - `align` (no name) aligns to the next byte boundary
+ *
+ * Lengths and counts can be a number, the name of an earlier sibling
+ * field, or a function of the struct decoded so far. Any field can
+ * have a `when` function of the struct so far; the field is skipped
+ * when it returns false.
+ *
+ * @class Schema
+ */
+class Schema {
+  /**
+   * Creates a new Schema instance.
+   *
+   * @param {Object[]} fields - Field definitions
+   * @throws {SchemaError} If the definition is invalid
+   */
+  constructor(fields) {
+    validateFields(fields, "");
+    this.fields = fields;
+  }
+
+  /**
+   * Reads a struct from the current position of a buffer.
+   *
+   * @param {BitPackedBuffer} buffer - Buffer to read from
+   * @returns {Object} The decoded struct
+   * @throws {SchemaError} If a field cannot be read
+   */
+  read(buffer) {
+    return readFields(buffer, this.fields, "");
+  }
+
+  /**
+   * Writes a struct at the current position of a buffer.
+   *
+   * @param {BitPackedBuffer} buffer - Buffer to write to
+   * @param {Object} value - The struct to encode
+   * @returns {BitPackedBuffer} The buffer, for chaining
+   * @throws {SchemaError} If a field is missing or invalid
+   */
+  write(buffer, value) {
+    writeFields(buffer, this.fields, value, "");
+    return buffer;
+  }
+
+  /**
+   * Decodes a struct from the given contents: from the start of bytes,
+   * or from the current position of a `BitPackedBuffer`, like `read()`.
+   *
+   * @param {BitPackedBuffer|Uint8Array|Buffer} contents - Data to decode
+   * @param {string|Object} [options] - Buffer options, used when contents is not a BitPackedBuffer
+   * @returns {Object} The decoded struct
+   * @throws {SchemaError} If a field cannot be read
+   */
+  decode(contents, options) {
+    const buffer =
+      contents instanceof BitPackedBuffer
+        ? contents
+        : new BitPackedBuffer(contents, options);
+    return this.read(buffer);
+  }
+
+  /**
+   * Encodes a struct into a new byte array.
+   *
+   * @param {Object} value - The struct to encode
+   * @param {string|Object} [options] - Buffer options (endianness, bit order)
+   * @returns {Uint8Array} The encoded bytes
+   * @throws {SchemaError} If a field is missing or invalid
+   */
+  encode(value, options) {
+    return this.write(
+      new BitPackedBuffer(undefined, options),
+      value,
+    ).getBuffer();
+  }
+}
+
+export { Schema, SchemaError };
@@ -0,0 +1,445 @@
+import { BitPackedBuffer } from "./buffer.js";
+import { BufferUnderrunError } from "./errors.js";
+
+// Checksums cover a range between marks, and streams keep no marks:
+// the data before them may already have been discarded or flushed
+const kReadMethods = Object.keys(new BitPackedBuffer().read).filter(
+  (name) => name !== "checksum",
+);
+const kWriteMethods = Object.keys(new BitPackedBuffer().write).filter(
+  (name) => name !== "checksum",
+);
+const kDefaultHighWaterMark = 64 * 1024;
+
+/**
+ * Converts a chunk from a stream into a Uint8Array.
+ *
+ * @param {Uint8Array|ArrayBuffer} chunk - Chunk to convert
+ * @returns {Uint8Array} The chunk's bytes
+ * @throws {TypeError} If the chunk is not binary data
+ */
+function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new TypeError("Stream chunks must be Uint8Array or ArrayBuffer");
+}
+
+/**
+ * Returns an iterator over the chunks of a readable source.
+ *
+ * @param {ReadableStream|AsyncIterable|Iterable} source - Source of chunks
+ * @returns {{next: function(): Promise<Object>, return?: function(): Promise<Object>}} Chunk iterator
+ * @throws {TypeError} If the source is not readable
+ */
+function toChunkIterator(source) {
+  if (typeof source?.getReader === "function") {
+    const reader = source.getReader();
+    return {
+      next: () => reader.read(),
+      return: async () => {
+        await reader.cancel();
+        return { done: true };
+      },
+    };
+  }
+  if (typeof source?.[Symbol.asyncIterator] === "function") {
+    return source[Symbol.asyncIterator]();
+  }
+  if (typeof source?.[Symbol.iterator] === "function") {
+    return source[Symbol.iterator]();
+  }
+  throw new TypeError(
+    "Source must be a ReadableStream, a Node.js Readable or an (async) iterable",
+  );
+}
+
+/**
+ * Returns a sink that writes chunks to a writable destination.
+ *
+ * @param {WritableStream|Object} destination - WritableStream, Node.js Writable or stream writer
+ * @returns {{write: function(Uint8Array): Promise, close: function(): Promise}} Chunk sink
+ * @throws {TypeError} If the destination is not writable
+ */
+function toChunkSink(destination) {
+  if (typeof destination?.getWriter === "function") {
+    const writer = destination.getWriter();
+    return {
+      write: (chunk) => writer.write(chunk),
+      close: () => writer.close(),
+    };
+  }
+  if (typeof destination?.end === "function") {
+    return {
+      write: (chunk) =>
+        new Promise((resolve, reject) => {
+          destination.write(chunk, (error) =>
+            error ? reject(error) : resolve(),
+          );
+        }),
+      close: () => new Promise((resolve) => destination.end(resolve)),
+    };
+  }
+  if (typeof destination?.write === "function") {
+    return {
+      write: async (chunk) => destination.write(chunk),
+      close: async () => destination.close?.(),
+    };
+  }
+  throw new TypeError(
+    "Destination must be a WritableStream, a Node.js Writable or a stream writer",
+  );
+}
+
+/**
+ * Rejects BitPackedBuffer options that streams can't honour. Escaping
+ * layers work on whole frames, and an escape sequence can be split
+ * across chunks, so streamed data can't be escaped piece by piece.
+ * Streams also replace their buffer as data moves through, so there
+ * is no lasting trace to record into.
+ *
+ * @param {string|Object} options - Byte order, or BitPackedBuffer options
+ * @throws {TypeError} If an escaping layer or tracing is given
+ */
+function checkStreamOptions(options) {
+  if (typeof options !== "object") return;
+  if (options?.escaping) {
+    throw new TypeError(
+      "Streams don't support the escaping option; escape or unescape whole frames with a BitPackedBuffer",
+    );
+  }
+  if (options?.trace) {
+    throw new TypeError(
+      "Streams don't support the trace option; trace whole frames with a BitPackedBuffer",
+    );
+  }
+}
+
+/**
+ * Reads bit-packed data incrementally from a stream of byte chunks.
+ *
+ * Provides async versions of every `BitPackedBuffer` read and peek
+ * operation. Instead of throwing on underrun they wait for more data,
+ * and only throw once the source has ended. Consumed bytes are
+ * discarded as new chunks arrive, so memory use is bounded by the
+ * largest single read plus one chunk.
+ *
+ * @class BitStreamReader
+ */
+class BitStreamReader {
+  #chunks;
+  #options;
+  #buffer;
+  #ended = false;
+  #discardedBits = 0;
+
+  /**
+   * Creates a new BitStreamReader instance.
+   *
+   * @param {ReadableStream|AsyncIterable|Iterable} source - Source of Uint8Array chunks
+   * @param {string|Object} [options='big'] - Byte order, or BitPackedBuffer options
+   * @throws {TypeError} If the source is not readable, or options has an escaping layer or tracing
+   */
+  constructor(source, options = "big") {
+    checkStreamOptions(options);
+    this.#chunks = toChunkIterator(source);
+    this.#options = options;
+    this.#buffer = new BitPackedBuffer(undefined, options);
+  }
+
+  /**
+   * Runs an operation against the buffered data, pulling more chunks
+   * and retrying from the same position while it underruns.
+   *
+   * @private
+   * @param {function(BitPackedBuffer): *} operation - Operation to run
+   * @returns {Promise<*>} The operation's result
+   * @throws {BufferUnderrunError} If the source ends before the operation completes
+   */
+  async #attempt(operation) {
+    while (true) {
+      const start = this.#buffer.bitPosition;
+      try {
+        return operation(this.#buffer);
+      } catch (error) {
+        if (!(error instanceof BufferUnderrunError) || this.#ended) throw error;
+        this.#buffer.seekBit(start);
+        await this.#pull();
+      }
+    }
+  }
+
+  /**
+   * Pulls the next chunk from the source, discarding consumed bytes.
+   *
+   * @private
+   * @returns {Promise<void>}
+   */
+  async #pull() {
+    const { done, value } = await this.#chunks.next();
+    if (done) {
+      this.#ended = true;
+      return;
+    }
+
+    const chunk = toBytes(value);
+    const buffer = this.#buffer;
+    const consumed = Math.floor(buffer.bitPosition / 8);
+    const kept = buffer.data.subarray(consumed);
+
+    const data = new Uint8Array(kept.length + chunk.length);
+    data.set(kept);
+    data.set(chunk, kept.length);
+
+    this.#buffer = new BitPackedBuffer(data, this.#options);
+    this.#buffer.seekBit(buffer.bitPosition - consumed * 8);
+    this.#discardedBits += consumed * 8;
+  }
+
+  /**
+   * Async reading operations. Each method mirrors `BitPackedBuffer#read`
+   * and resolves once enough data has arrived.
+   *
+   * @type {Object<string, function(...*): Promise<*>>}
+   */
+  read = Object.fromEntries(
+    kReadMethods.map((name) => [
+      name,
+      (...args) => this.#attempt((buffer) => buffer.read[name](...args)),
+    ]),
+  );
+
+  /**
+   * Async peeking operations. Each method mirrors `BitPackedBuffer#peek`
+   * and resolves once enough data has arrived.
+   *
+   * @type {Object<string, function(...*): Promise<*>>}
+   */
+  peek = Object.fromEntries(
+    kReadMethods.map((name) => [
+      name,
+      (...args) => this.#attempt((buffer) => buffer.peek[name](...args)),
+    ]),
+  );
+
+  /**
+   * The number of bits read since the start of the stream.
+   *
+   * @type {number}
+   */
+  get bitPosition() {
+    return this.#discardedBits + this.#buffer.bitPosition;
+  }
+
+  /**
+   * Skips the rest of the current byte.
+   *
+   * @returns {BitStreamReader} This reader instance for chaining
+   */
+  alignToByte() {
+    this.#buffer.alignToByte();
+    return this;
+  }
+
+  /**
+   * Skips the specified number of bits, discarding data as it arrives.
+   *
+   * @param {number} bits - Number of bits to skip
+   * @returns {Promise<BitStreamReader>} This reader instance
+   * @throws {BufferUnderrunError} If the source ends first
+   */
+  async skipBits(bits) {
+    while (true) {
+      const available = this.#buffer.bitsRemaining();
+      if (bits <= available) {
+        this.#buffer.skipBits(bits);
+        return this;
+      }
+      if (this.#ended) {
+        throw new BufferUnderrunError(undefined, {
+          bitOffset: this.bitPosition,
+          bitCount: bits,
+          available,
+        });
+      }
+
+      this.#buffer.skipBits(available);
+      bits -= available;
+      await this.#pull();
+    }
+  }
+
+  /**
+   * Skips the specified number of bytes, discarding data as it arrives.
+   *
+   * @param {number} bytes - Number of bytes to skip
+   * @returns {Promise<BitStreamReader>} This reader instance
+   * @throws {BufferUnderrunError} If the source ends first
+   */
+  skip(bytes) {
+    return this.skipBits(bytes * 8);
+  }
+
+  /**
+   * Checks whether the source has ended and all of its data has been read.
+   *
+   * @returns {Promise<boolean>} True if no more data is available
+   */
+  async isComplete() {
+    while (this.#buffer.bitsRemaining() === 0) {
+      if (this.#ended) return true;
+      await this.#pull();
+    }
+    return false;
+  }
+
+  /**
+   * Stops reading and releases the source.
+   *
+   * @returns {Promise<void>}
+   */
+  async close() {
+    this.#ended = true;
+    await this.#chunks.return?.();
+  }
+}
+
+/**
+ * Writes bit-packed data incrementally to a writable stream.
+ *
+ * Provides every `BitPackedBuffer` write operation. Completed bytes are
+ * sent to the destination once at least `highWaterMark` of them are
+ * buffered, or when `flush()` is called; a trailing partial byte is
+ * held back until it is completed or the writer is closed.
+ *
+ * @class BitStreamWriter
+ */
+class BitStreamWriter {
+  #sink;
+  #options;
+  #buffer;
+  #highWaterMark;
+  #flushedBits = 0;
+  #pending = Promise.resolve();
+  #error = null;
+
+  /**
+   * Creates a new BitStreamWriter instance.
+   *
+   * @param {WritableStream|Object} destination - WritableStream, Node.js Writable or stream writer
+   * @param {string|Object} [options='big'] - Byte order, or BitPackedBuffer options
+   * @param {number} [options.highWaterMark=65536] - Buffered bytes that trigger a flush
+   * @throws {TypeError} If the destination is not writable, or options has an escaping layer or tracing
+   */
+  constructor(destination, options = "big") {
+    checkStreamOptions(options);
+    this.#sink = toChunkSink(destination);
+    this.#options = options;
+    this.#buffer = new BitPackedBuffer(undefined, options);
+    this.#highWaterMark =
+      (typeof options === "object" && options.highWaterMark) ||
+      kDefaultHighWaterMark;
+  }
+
+  /**
+   * Queues the completed bytes for the destination, keeping any
+   * trailing partial byte in the buffer.
+   *
+   * @private
+   */
+  #drain() {
+    const buffer = this.#buffer;
+    const completed = Math.floor(buffer.bitPosition / 8);
+    if (completed === 0) return;
+
+    const chunk = buffer.data.slice(0, completed);
+    const partialBits = buffer.bitPosition % 8;
+
+    this.#buffer = new BitPackedBuffer(
+      partialBits ? buffer.data.slice(completed, completed + 1) : undefined,
+      this.#options,
+    );
+    this.#buffer.seekBit(partialBits);
+    this.#flushedBits += completed * 8;
+
+    this.#pending = this.#pending
+      .then(() => this.#sink.write(chunk))
+      .catch((error) => {
+        this.#error ??= error;
+      });
+  }
+
+  /**
+   * Throws the first error reported by the destination, if any.
+   *
+   * @private
+   */
+  #checkError() {
+    if (this.#error) throw this.#error;
+  }
+
+  /**
+   * Writing operations. Each method mirrors `BitPackedBuffer#write`
+   * and returns this writer for chaining.
+   *
+   * @type {Object<string, function(...*): BitStreamWriter>}
+   */
+  write = Object.fromEntries(
+    kWriteMethods.map((name) => [
+      name,
+      (...args) => {
+        this.#checkError();
+        this.#buffer.write[name](...args);
+        if (this.#buffer.bitPosition >= this.#highWaterMark * 8) this.#drain();
+        return this;
+      },
+    ]),
+  );
+
+  /**
+   * The number of bits written since the start of the stream.
+   *
+   * @type {number}
+   */
+  get bitPosition() {
+    return this.#flushedBits + this.#buffer.bitPosition;
+  }
+
+  /**
+   * Pads the current byte with zero bits.
+   *
+   * @returns {BitStreamWriter} This writer instance for chaining
+   */
+  alignToByte() {
+    this.#buffer.alignToByte();
+    return this;
+  }
+
+  /**
+   * Sends all completed bytes to the destination.
+   *
+   * @returns {Promise<void>} Resolves once the destination accepted them
+   * @throws {Error} If the destination failed
+   */
+  async flush() {
+    this.#drain();
+    await this.#pending;
+    this.#checkError();
+  }
+
+  /**
+   * Pads the final byte, flushes and closes the destination.
+   *
+   * @returns {Promise<void>} Resolves once the destination is closed
+   * @throws {Error} If the destination failed
+   */
+  async close() {
+    this.alignToByte();
+    await this.flush();
+    await this.#sink.close();
+  }
+}
+
+export { BitStreamReader, BitStreamWriter };
@@ -0,0 +1,151 @@
+import { InvalidEncodingError, ValueOutOfRangeError } from "./errors.js";
+
+/** Encoding labels that strings can be written in, by canonical name. */
+const kEncodings = new Map([
+  ["utf-8", "utf-8"],
+  ["utf8", "utf-8"],
+  ["utf-16le", "utf-16le"],
+  ["utf16le", "utf-16le"],
+  ["utf-16", "utf-16le"],
+  ["ucs-2", "utf-16le"],
+  ["utf-16be", "utf-16be"],
+  ["utf16be", "utf-16be"],
+  ["latin1", "latin1"],
+  ["latin-1", "latin1"],
+  ["iso-8859-1", "latin1"],
+  ["ascii", "ascii"],
+  ["us-ascii", "ascii"],
+]);
+
+const utf8Encoder = new TextEncoder();
+
+/**
+ * Returns the canonical name of an encoding with a built-in encoder.
+ *
+ * @param {string} encoding - Encoding label, in any case
+ * @returns {string|undefined} The canonical name, or undefined for other encodings
+ */
+function canonicalEncoding(encoding) {
+  return kEncodings.get(String(encoding).toLowerCase());
+}
+
+/**
+ * Returns the size of a code unit of an encoding, which is also the size
+ * of its NUL terminator: 2 bytes for UTF-16, 1 byte otherwise.
+ *
+ * @param {string} encoding - Encoding label
+ * @returns {number} The code unit size in bytes
+ */
+export function codeUnitSize(encoding) {
+  return canonicalEncoding(encoding)?.startsWith("utf-16") ? 2 : 1;
+}
+
+/**
+ * Encodes a string with one of the built-in encoders: UTF-8, UTF-16LE,
+ * UTF-16BE, Latin-1 (ISO-8859-1) or ASCII.
+ *
+ * @param {string} str - String to encode
+ * @param {string} [encoding='utf-8'] - Encoding label
+ * @param {number} [bitOffset] - Bit position the text is written at, for errors
+ * @returns {Uint8Array} The encoded bytes
+ * @throws {ValueOutOfRangeError} If a character doesn't exist in the encoding
+ * @throws {RangeError} If the encoding has no built-in encoder
+ */
+export function encodeString(str, encoding = "utf-8", bitOffset) {
+  const canonical = canonicalEncoding(encoding);
+  switch (canonical) {
+    case "utf-8":
+      return utf8Encoder.encode(str);
+
+    case "utf-16le":
+    case "utf-16be": {
+      const bytes = new Uint8Array(str.length * 2);
+      const high = canonical === "utf-16le" ? 1 : 0;
+      for (let i = 0; i < str.length; i++) {
+        const unit = str.charCodeAt(i);
+        bytes[i * 2 + high] = unit >>> 8;
+        bytes[i * 2 + 1 - high] = unit & 0xff;
+      }
+      return bytes;
+    }
+
+    case "latin1":
+    case "ascii": {
+      const max = canonical === "ascii" ? 0x7f : 0xff;
+      const bytes = new Uint8Array(str.length);
+      for (let i = 0; i < str.length; i++) {
+        const code = str.charCodeAt(i);
+        if (code > max) {
+          const codePoint = str.codePointAt(i);
+          throw new ValueOutOfRangeError(
+            `Character U+${codePoint.toString(16).toUpperCase().padStart(4, "0")} cannot be encoded as ${canonical}`,
+            String.fromCodePoint(codePoint),
+            { bitOffset },
+          );
+        }
+        bytes[i] = code;
+      }
+      return bytes;
+    }
+  }
+
+  throw new RangeError(`No encoder for '${encoding}'`);
+}
+
+/**
+ * Decodes bytes as a string. Latin-1 and ASCII are decoded exactly, as
+ * `TextDecoder` treats both labels as Windows-1252; other encodings go
+ * through `TextDecoder`.
+ *
+ * @param {Uint8Array} bytes - Bytes to decode
+ * @param {string} [encoding='utf-8'] - Encoding label
+ * @param {number} [bitOffset] - Bit position the bytes were read from, for errors
+ * @returns {string} The decoded string
+ * @throws {InvalidEncodingError} If ASCII data has a byte above 0x7F
+ * @throws {RangeError} If the encoding is unknown
+ */
+export function decodeString(bytes, encoding = "utf-8", bitOffset) {
+  const canonical = canonicalEncoding(encoding);
+  if (canonical === "latin1" || canonical === "ascii") {
+    let result = "";
+    for (let i = 0; i < bytes.length; i++) {
+      if (canonical === "ascii" && bytes[i] > 0x7f) {
+        throw new InvalidEncodingError(
+          `Byte 0x${bytes[i].toString(16)} is not ASCII`,
+          {
+            bitOffset: bitOffset === undefined ? undefined : bitOffset + i * 8,
+          },
+        );
+      }
+      result += String.fromCharCode(bytes[i]);
+    }
+    return result;
+  }
+  return new TextDecoder(canonical ?? encoding).decode(bytes);
+}
+
+/**
+ * Cuts encoded text down to at most `length` bytes without splitting a
+ * character: a UTF-8 sequence, a UTF-16 code unit or a surrogate pair.
+ *
+ * @param {Uint8Array} bytes - Encoded text
+ * @param {number} length - Maximum length in bytes
+ * @param {string} [encoding='utf-8'] - Encoding of the text
+ * @returns {Uint8Array} The longest prefix of whole characters that fits
+ */
+export function truncateEncoded(bytes, length, encoding = "utf-8") {
+  if (bytes.length <= length) return bytes;
+
+  const canonical = canonicalEncoding(encoding);
+  let end = length;
+  if (canonical === "utf-8") {
+    // Back up to the start of the sequence that doesn't fit
+    while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  } else if (canonical === "utf-16le" || canonical === "utf-16be") {
+    end -= end % 2;
+    const high = canonical === "utf-16le" ? end - 1 : end - 2;
+    // Don't keep the first half of a surrogate pair
+    if (end > 0 && bytes[high] >= 0xd8 && bytes[high] <= 0xdb) end -= 2;
+  }
+  return bytes.subarray(0, end);
+}
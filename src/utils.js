@@ -1,5 +1,31 @@
-export function swapEndianness(value, numberOfBytes) {
+/**
+ * Reverses the byte order of a value of up to 4 bytes. With `extraBits`,
+ * the value is `numberOfBytes` whole bytes followed by a partial group of
+ * that many bits at its low end, which moves to the high end, above the
+ * reversed bytes. `unswapEndianness` moves it back.
+ *
+ * @param {number} value - Value to swap
+ * @param {number} numberOfBytes - Number of whole bytes (0-4)
+ * @param {number} [extraBits=0] - Width of the partial group (0-7)
+ * @returns {number} The swapped value as an unsigned 32-bit integer
+ */
+export function swapEndianness(value, numberOfBytes, extraBits = 0) {
+  if (extraBits > 0) {
+    const extra = value & ((1 << extraBits) - 1);
+    return (
+      ((extra << (numberOfBytes * 8)) |
+        swapEndianness(value >>> extraBits, numberOfBytes)) >>>
+      0
+    );
+  }
+
   switch (numberOfBytes) {
+    case 0:
+      return 0;
+
+    case 1:
+      return value & 0xff;
+
     case 2: // 16-bit
       return (((value & 0xff) << 8) | ((value >>> 8) & 0xff)) >>> 0;
 
@@ -21,5 +47,230 @@ export function swapEndianness(value, numberOfBytes) {
       );
   }
 
-  throw new Error("UNREACHABLE");
+  throw new RangeError(`Cannot swap ${numberOfBytes} bytes as a number`);
+}
+
+/**
+ * Undoes `swapEndianness`: the partial group of `extraBits` bits moves
+ * from the high end of the value back to its low end.
+ *
+ * @param {number} value - Value to swap
+ * @param {number} numberOfBytes - Number of whole bytes (0-4)
+ * @param {number} [extraBits=0] - Width of the partial group (0-7)
+ * @returns {number} The swapped value as an unsigned 32-bit integer
+ */
+export function unswapEndianness(value, numberOfBytes, extraBits = 0) {
+  if (extraBits === 0) return swapEndianness(value, numberOfBytes);
+
+  const extra = (value >>> (numberOfBytes * 8)) & ((1 << extraBits) - 1);
+  return ((swapEndianness(value, numberOfBytes) << extraBits) | extra) >>> 0;
+}
+
+/**
+ * BigInt version of `swapEndianness`, for any number of bytes.
+ *
+ * @param {bigint} value - Value to swap
+ * @param {number} numberOfBytes - Number of whole bytes
+ * @param {number} [extraBits=0] - Width of the partial group (0-7)
+ * @returns {bigint} The swapped value
+ */
+export function swapBigIntEndianness(value, numberOfBytes, extraBits = 0) {
+  const extra = value & ((1n << BigInt(extraBits)) - 1n);
+  value >>= BigInt(extraBits);
+
+  let result = extra;
+  for (let i = 0; i < numberOfBytes; i++) {
+    result = (result << 8n) | (value & 0xffn);
+    value >>= 8n;
+  }
+  return result;
+}
+
+/**
+ * BigInt version of `unswapEndianness`.
+ *
+ * @param {bigint} value - Value to swap
+ * @param {number} numberOfBytes - Number of whole bytes
+ * @param {number} [extraBits=0] - Width of the partial group (0-7)
+ * @returns {bigint} The swapped value
+ */
+export function unswapBigIntEndianness(value, numberOfBytes, extraBits = 0) {
+  const extra =
+    (value >> BigInt(numberOfBytes * 8)) & ((1n << BigInt(extraBits)) - 1n);
+  return (
+    (swapBigIntEndianness(value, numberOfBytes) << BigInt(extraBits)) | extra
+  );
+}
+
+/**
+ * Reverses the lowest `width` bits of a value.
+ *
+ * @param {number} value - Value to reverse
+ * @param {number} width - Number of bits to reverse (0-32)
+ * @returns {number} The reversed value as an unsigned 32-bit integer
+ */
+export function reverseBits(value, width) {
+  let result = 0;
+  for (let i = 0; i < width; i++) {
+    result = (result << 1) | ((value >>> i) & 1);
+  }
+  return result >>> 0;
+}
+
+/**
+ * BigInt version of `reverseBits`, for any width.
+ *
+ * @param {bigint} value - Value to reverse
+ * @param {number} width - Number of bits to reverse
+ * @returns {bigint} The reversed value
+ */
+export function reverseBigIntBits(value, width) {
+  let result = 0n;
+  for (let i = 0; i < width; i++) {
+    result = (result << 1n) | ((value >> BigInt(i)) & 1n);
+  }
+  return result;
+}
+
+export function popcount(value) {
+  value -= (value >>> 1) & 0x55555555;
+  value = (value & 0x33333333) + ((value >>> 2) & 0x33333333);
+  return Math.imul((value + (value >>> 4)) & 0x0f0f0f0f, 0x01010101) >>> 24;
+}
+
+export function grayEncode(value) {
+  return (value ^ (value >>> 1)) >>> 0;
+}
+
+export function grayDecode(value) {
+  value ^= value >>> 16;
+  value ^= value >>> 8;
+  value ^= value >>> 4;
+  value ^= value >>> 2;
+  value ^= value >>> 1;
+  return value >>> 0;
+}
+
+/**
+ * BigInt version of `grayEncode`, for non-negative values.
+ *
+ * @param {bigint} value - Value to encode
+ * @returns {bigint} The Gray code
+ */
+export function grayEncodeBigInt(value) {
+  return value ^ (value >> 1n);
+}
+
+/**
+ * BigInt version of `grayDecode`, for codes of up to 64 bits.
+ *
+ * @param {bigint} value - Gray code to decode
+ * @returns {bigint} The decoded value
+ */
+export function grayDecodeBigInt(value) {
+  for (let shift = 32n; shift > 0n; shift >>= 1n) value ^= value >> shift;
+  return value;
+}
+
+const floatView = new DataView(new ArrayBuffer(8));
+
+export function float32ToBits(value) {
+  floatView.setFloat32(0, value);
+  return floatView.getUint32(0);
+}
+
+export function bitsToFloat32(bits) {
+  floatView.setUint32(0, bits);
+  return floatView.getFloat32(0);
+}
+
+export function float64ToBits(value) {
+  floatView.setFloat64(0, value);
+  return floatView.getBigUint64(0);
+}
+
+export function bitsToFloat64(bits) {
+  floatView.setBigUint64(0, bits);
+  return floatView.getFloat64(0);
+}
+
+function roundHalfToEven(value) {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+  return diff > 0.5 || (diff === 0.5 && floor % 2 !== 0) ? floor + 1 : floor;
+}
+
+export function float16ToBits(value) {
+  if (Number.isNaN(value)) return 0x7e00;
+
+  const sign = value < 0 || Object.is(value, -0) ? 0x8000 : 0;
+  const abs = Math.abs(value);
+
+  // 65520 is the midpoint between the largest half (65504) and 2^16
+  if (abs >= 65520) return sign | 0x7c00;
+
+  // Subnormal range, including values that round to zero
+  if (abs < 2 ** -14) {
+    return sign | roundHalfToEven(abs / 2 ** -24);
+  }
+
+  let exponent = Math.floor(Math.log2(abs));
+  // Math.log2 may be off by one near powers of two
+  if (2 ** exponent > abs) exponent--;
+  else if (2 ** (exponent + 1) <= abs) exponent++;
+
+  let mantissa = roundHalfToEven((abs / 2 ** exponent - 1) * 1024);
+  if (mantissa === 1024) {
+    mantissa = 0;
+    exponent++;
+  }
+
+  return sign | ((exponent + 15) << 10) | mantissa;
+}
+
+export function bitsToFloat16(bits) {
+  const sign = bits & 0x8000 ? -1 : 1;
+  const exponent = (bits >>> 10) & 0x1f;
+  const mantissa = bits & 0x3ff;
+
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+export function zigzagEncode(value) {
+  return value < 0n ? (-value << 1n) - 1n : value << 1n;
+}
+
+export function zigzagDecode(value) {
+  return value & 1n ? -((value + 1n) >> 1n) : value >> 1n;
+}
+
+export function toSafeNumber(value) {
+  if (
+    value > BigInt(Number.MAX_SAFE_INTEGER) ||
+    value < BigInt(Number.MIN_SAFE_INTEGER)
+  ) {
+    throw new RangeError(
+      `Value ${value} exceeds the safe integer range; use the BigInt variant`,
+    );
+  }
+  return Number(value);
+}
+
+export function roundToInteger(value, mode) {
+  switch (mode) {
+    case "nearest":
+      return Math.sign(value) * Math.round(Math.abs(value));
+    case "nearestEven":
+      return roundHalfToEven(value);
+    case "floor":
+      return Math.floor(value);
+    case "ceil":
+      return Math.ceil(value);
+    case "trunc":
+      return Math.trunc(value);
+    default:
+      throw new RangeError(`Unknown rounding mode: ${mode}`);
+  }
 }
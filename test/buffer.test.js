@@ -1,6 +1,14 @@
 import test from "node:test";
 import assert from "node:assert/strict";
 import { BitPackedBuffer } from "../src/buffer.js";
+import {
+  BufferUnderrunError,
+  BufferOverflowError,
+  InvalidBitCountError,
+  InvalidEncodingError,
+  MissingMarkError,
+  ValueOutOfRangeError,
+} from "../src/errors.js";
 
 test("BitPackedBuffer", async (t) => {
   await t.test("constructor", async (t) => {
@@ -31,6 +39,16 @@ test("BitPackedBuffer", async (t) => {
       assert.equal(bufferBig.isBigEndian, true);
       assert.equal(bufferLittle.isBigEndian, false);
     });
+
+    await t.test("with options object", (t) => {
+      const buffer = new BitPackedBuffer(undefined, {
+        endian: "little",
+        bitOrder: "lsb",
+      });
+      assert.equal(buffer.isBigEndian, false);
+      assert.equal(buffer.isLsbFirst, true);
+      assert.equal(new BitPackedBuffer().isLsbFirst, false);
+    });
   });
 
   await t.test("bit operations", async (t) => {
@@ -54,9 +72,8 @@ test("BitPackedBuffer", async (t) => {
 
       await t.test("across byte boundary (little endian)", (t) => {
         const buf = new BitPackedBuffer(new Uint8Array([0xff, 0x00]), "little");
-        // 1111|11110000 gets expands to 00001111|11110000
-        // which than gets reversed to  11110000|00001111
-        assert.equal(buf.read.bits(12), 0xf00f);
+        // The low byte (11111111) comes first, then the high 4 bits (0000)
+        assert.equal(buf.read.bits(12), 0x0ff);
       });
 
       await t.test("error conditions", (t) => {
@@ -98,6 +115,88 @@ test("BitPackedBuffer", async (t) => {
     });
   });
 
+  await t.test("lsb-first bit order", async (t) => {
+    await t.test("reading bits", (t) => {
+      // DEFLATE block header: BFINAL=1, BTYPE=01
+      const buffer = new BitPackedBuffer(new Uint8Array([0b00000011]), {
+        bitOrder: "lsb",
+      });
+      assert.equal(buffer.read.bits(1), 1);
+      assert.equal(buffer.peek.bits(2), 0b01);
+      assert.equal(buffer.read.bits(2), 0b01);
+      assert.equal(buffer.read.bits(5), 0);
+    });
+
+    await t.test("across byte boundary", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x34, 0x12]), {
+        bitOrder: "lsb",
+      });
+      assert.equal(buffer.read.bits(4), 0x4);
+      assert.equal(buffer.read.bits(12), 0x123);
+    });
+
+    await t.test("writing bits", (t) => {
+      const buffer = new BitPackedBuffer(undefined, { bitOrder: "lsb" });
+      buffer.write.bits(1, 1);
+      buffer.write.bits(0b01, 2);
+      buffer.write.bits(0x1fff, 13);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0xfb, 0xff]));
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(1), 1);
+      assert.equal(buffer.read.bits(2), 0b01);
+      assert.equal(buffer.read.bits(13), 0x1fff);
+    });
+
+    await t.test("32-bit and bigint values", (t) => {
+      const buffer = new BitPackedBuffer(undefined, { bitOrder: "lsb" });
+      buffer.write.bits(0b101, 3);
+      buffer.write.uint(0xdeadbeef, 32);
+      buffer.write.bigUint(0x123456789abcdefn, 61);
+      buffer.alignToByte();
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 0b101);
+      assert.equal(buffer.read.uint(32), 0xdeadbeef);
+      assert.equal(buffer.read.bigUint(61), 0x123456789abcdefn);
+    });
+
+    await t.test("little-endian by default", (t) => {
+      const buffer = new BitPackedBuffer(undefined, { bitOrder: "lsb" });
+      assert.equal(buffer.isBigEndian, false);
+      buffer.write.uint(0x1234, 16);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0x34, 0x12]));
+      buffer.seek(0);
+      assert.equal(buffer.read.uint(16), 0x1234);
+    });
+
+    await t.test("big-endian values", (t) => {
+      const buffer = new BitPackedBuffer(undefined, {
+        endian: "big",
+        bitOrder: "lsb",
+      });
+      buffer.write.bits(1, 1);
+      buffer.write.uint(0x1234, 16);
+      buffer.write.uint(0xabc, 12);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(1), 1);
+      assert.equal(buffer.read.uint(16), 0x1234);
+      // The high 4 bits come first, then the low byte
+      assert.equal(buffer.read.bits(4), 0xa);
+      assert.equal(buffer.read.bits(8), 0xbc);
+    });
+
+    await t.test("marks and alignment", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xa5, 0x0f]), {
+        bitOrder: "lsb",
+      });
+      buffer.mark();
+      assert.equal(buffer.read.bits(4), 0x5);
+      buffer.alignToByte();
+      assert.equal(buffer.read.bits(4), 0xf);
+      buffer.reset();
+      assert.equal(buffer.read.bits(8), 0xa5);
+    });
+  });
+
   await t.test("byte operations", async (t) => {
     await t.test("reading bytes", async (t) => {
       const buffer = new BitPackedBuffer(new Uint8Array([1, 2, 3, 4]));
@@ -171,6 +270,238 @@ test("BitPackedBuffer", async (t) => {
         assert.equal(buffer.read.cString(), text);
       });
     });
+
+    await t.test("encodings", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.string("hé", "utf-16be");
+      buffer.write.string("hé", "latin1");
+      buffer.write.prefixedString("hé", { encoding: "utf-16le" });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          0x00, 0x68, 0x00, 0xe9, 0x68, 0xe9, 4, 0x68, 0x00, 0xe9, 0x00,
+        ]),
+      );
+
+      buffer.seek(0);
+      assert.equal(buffer.read.string(4, "utf-16be"), "hé");
+      assert.equal(buffer.read.string(2, "latin1"), "hé");
+      assert.equal(buffer.read.prefixedString({ encoding: "utf-16le" }), "hé");
+      assert.throws(
+        () => buffer.write.string("€", "ascii"),
+        ValueOutOfRangeError,
+      );
+    });
+
+    await t.test("null-terminated UTF-16", (t) => {
+      const buffer = new BitPackedBuffer();
+      // "Ā" is 0x0100, whose low byte is zero
+      buffer.write.cString("Āa", "utf-16le");
+      buffer.write.cString("b", "utf-16be");
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x00, 0x01, 0x61, 0x00, 0x00, 0x00, 0x00, 0x62, 0, 0]),
+      );
+
+      buffer.seek(0);
+      assert.equal(buffer.read.cString("utf-16le"), "Āa");
+      assert.equal(buffer.read.cString("utf-16be"), "b");
+    });
+
+    await t.test(
+      "null-terminated strings are read from the current bit",
+      (t) => {
+        const buffer = new BitPackedBuffer(
+          new Uint8Array([0xac, 0xaa, 0x00, 0x00]),
+        );
+        buffer.read.bits(1);
+        assert.equal(buffer.read.cString(), "YT");
+        assert.equal(buffer.bitPosition, 25);
+      },
+    );
+
+    await t.test("fixed-width strings", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.fixedString("hi", 4);
+      buffer.write.fixedString("ok", 4, { pad: " " });
+      buffer.write.fixedString("hi", 6, { encoding: "utf-16be", pad: "." });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          0x68, 0x69, 0, 0, 0x6f, 0x6b, 0x20, 0x20, 0, 0x68, 0, 0x69, 0, 0x2e,
+        ]),
+      );
+
+      buffer.seek(0);
+      assert.equal(buffer.read.fixedString(4), "hi");
+      assert.equal(buffer.read.fixedString(4, { trim: false }), "ok  ");
+      assert.equal(
+        buffer.read.fixedString(6, { encoding: "utf-16be", pad: "." }),
+        "hi",
+      );
+    });
+
+    await t.test("fixed-width strings with multi-byte padding", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.fixedString("a", 4, { pad: "é" });
+      buffer.write.fixedString("a", 8, { encoding: "utf-16le", pad: "😀" });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          0x61, 0xc3, 0xa9, 0, 0x61, 0, 0x3d, 0xd8, 0x00, 0xde, 0, 0,
+        ]),
+      );
+
+      buffer.seek(0);
+      assert.equal(buffer.read.fixedString(4, { pad: "é" }), "a");
+      assert.equal(
+        buffer.read.fixedString(8, { encoding: "utf-16le", pad: "😀" }),
+        "a",
+      );
+    });
+
+    await t.test("fixed-width strings that don't fit", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(
+        () => buffer.write.fixedString("hello", 4),
+        (error) =>
+          error instanceof ValueOutOfRangeError && error.value === "hello",
+      );
+      assert.equal(buffer.bitLength, 0);
+
+      // Truncation never splits a character
+      buffer.write.fixedString("abcé", 4, { truncate: true });
+      buffer.write.fixedString("a😀", 4, {
+        encoding: "utf-16le",
+        truncate: true,
+      });
+      buffer.seek(0);
+      assert.equal(buffer.read.fixedString(4), "abc");
+      assert.equal(buffer.read.fixedString(4, { encoding: "utf-16le" }), "a");
+    });
+
+    await t.test("UTF-16 fixed-width strings need an even length", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(
+        () => buffer.write.fixedString("ab", 7, { encoding: "utf-16le" }),
+        RangeError,
+      );
+      assert.equal(buffer.bitLength, 0);
+      buffer.write.bytes(new Uint8Array(8)).seek(0);
+      assert.throws(
+        () => buffer.read.fixedString(7, { encoding: "utf-16be" }),
+        RangeError,
+      );
+      assert.equal(buffer.bitPosition, 0);
+    });
+  });
+
+  await t.test("length-prefixed operations", async (t) => {
+    await t.test("strings and bytes", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.prefixedString("héllo");
+      buffer.write.prefixedBytes(new Uint8Array([1, 2, 3]), { prefix: 16 });
+      buffer.write.prefixedString("", { prefix: "varint" });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          6, 0x68, 0xc3, 0xa9, 0x6c, 0x6c, 0x6f, 0, 3, 1, 2, 3, 0,
+        ]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.prefixedString(), "héllo");
+      assert.deepEqual(
+        buffer.read.prefixedBytes({ prefix: 16 }),
+        new Uint8Array([1, 2, 3]),
+      );
+      assert.equal(buffer.read.prefixedString({ prefix: "varint" }), "");
+    });
+
+    await t.test("varint prefix", (t) => {
+      const bytes = new Uint8Array(300).fill(7);
+      const buffer = new BitPackedBuffer();
+      buffer.write.prefixedBytes(bytes, { prefix: "varint" });
+      assert.deepEqual(
+        buffer.getBuffer().subarray(0, 2),
+        new Uint8Array([0xac, 0x02]),
+      );
+      buffer.seek(0);
+      assert.deepEqual(buffer.read.prefixedBytes({ prefix: "varint" }), bytes);
+    });
+
+    await t.test("sub-byte prefix", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.prefixedString("ab", { prefix: 4 });
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0x20, 0x61, 0x62]));
+      buffer.seek(0);
+      assert.equal(buffer.read.prefixedString({ prefix: 4 }), "ab");
+    });
+
+    await t.test("errors", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(
+        () => buffer.write.prefixedBytes(new Uint8Array(256)),
+        /does not fit in a 8-bit prefix/,
+      );
+      assert.throws(
+        () => buffer.write.prefixedString("a", { prefix: "vlq" }),
+        /Invalid length prefix/,
+      );
+      assert.equal(buffer.bitPosition, 0);
+
+      const truncated = new BitPackedBuffer(new Uint8Array([5, 0x61]));
+      assert.throws(() => truncated.read.prefixedString(), RangeError);
+    });
+  });
+
+  await t.test("packed arrays", async (t) => {
+    await t.test("fixed count", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.array([1, 2, 3, 7], 3);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0b00101001, 0b11110000]),
+      );
+      buffer.seek(0);
+      assert.deepEqual(buffer.read.array(4, 3), [1, 2, 3, 7]);
+    });
+
+    await t.test("signed values and typed arrays", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.array(new Int16Array([-2048, -1, 0, 2047]), 12, {
+        signed: true,
+      });
+      buffer.seek(0);
+      const values = buffer.read.array(4, 12, {
+        signed: true,
+        type: Int16Array,
+      });
+      assert.ok(values instanceof Int16Array);
+      assert.deepEqual(values, new Int16Array([-2048, -1, 0, 2047]));
+    });
+
+    await t.test("length-prefixed", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.prefixedArray([5, 10, 15], 5, { prefix: 4 });
+      buffer.write.prefixedArray([], 32, { prefix: "varint" });
+      buffer.seek(0);
+      assert.deepEqual(
+        buffer.peek.prefixedArray(5, { prefix: 4 }),
+        [5, 10, 15],
+      );
+      assert.deepEqual(
+        buffer.read.prefixedArray(5, { prefix: 4, type: Uint8Array }),
+        new Uint8Array([5, 10, 15]),
+      );
+      assert.deepEqual(buffer.read.prefixedArray(32, { prefix: "varint" }), []);
+    });
+
+    await t.test("underrun", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff]));
+      buffer.skipBits(1);
+      assert.throws(() => buffer.read.array(4, 4), RangeError);
+      assert.equal(buffer.bitPosition, 1);
+    });
   });
 
   await t.test("integer operations", async (t) => {
@@ -214,6 +545,731 @@ test("BitPackedBuffer", async (t) => {
         assert.equal(buffer.read.int(8), -42);
       });
     });
+
+    await t.test("per-call byte order", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.uint(0x1234, 16, { endian: "little" });
+      buffer.write.uint(0x1234, 16);
+      buffer.write.int(-2, 16, { endian: "little" });
+      buffer.write.float32(1, { endian: "little" });
+      buffer.write.bigUint(0x0102030405n, 40, { endian: "little" });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          0x34, 0x12, 0x12, 0x34, 0xfe, 0xff, 0x00, 0x00, 0x80, 0x3f, 0x05,
+          0x04, 0x03, 0x02, 0x01,
+        ]),
+      );
+
+      buffer.seek(0);
+      assert.equal(buffer.read.uint(16, { endian: "little" }), 0x1234);
+      assert.equal(buffer.read.uint(16, { endian: "big" }), 0x1234);
+      assert.equal(buffer.read.int(16, { endian: "little" }), -2);
+      assert.equal(buffer.read.float32({ endian: "little" }), 1);
+      assert.equal(
+        buffer.read.bigUint(40, { endian: "little" }),
+        0x0102030405n,
+      );
+      assert.throws(
+        () => buffer.read.uint(16, { endian: "middle" }),
+        /Unknown byte order/,
+      );
+    });
+
+    await t.test("little-endian widths that aren't whole bytes", (t) => {
+      for (const bitOrder of ["msb", "lsb"]) {
+        const buffer = new BitPackedBuffer(undefined, {
+          endian: "little",
+          bitOrder,
+        });
+        buffer.write.bits(1, 1);
+        buffer.write.uint(0xabc, 12);
+        buffer.write.uint(0x12345, 20);
+        buffer.write.bigUint(0x123456789abn, 44);
+        buffer.seek(0);
+        buffer.skipBits(1);
+        // Low byte first, then the remaining high bits
+        assert.equal(buffer.peek.bits(8), 0xbc);
+        assert.equal(buffer.read.uint(12), 0xabc);
+        assert.equal(buffer.read.uint(20), 0x12345);
+        assert.equal(buffer.read.bigUint(44), 0x123456789abn);
+      }
+
+      const buffer = new BitPackedBuffer(new Uint8Array([0x34, 0x12]));
+      assert.equal(buffer.read.uint(12, { endian: "little" }), 0x134);
+    });
+  });
+
+  await t.test("bigint operations", async (t) => {
+    await t.test("unsigned 64-bit", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bigUint(0x0123456789abcdefn, 64);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x01, 0x23, 0x45, 0x67, 0x89, 0xab, 0xcd, 0xef]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.bigUint(64), 0x0123456789abcdefn);
+    });
+
+    await t.test("signed 48-bit", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bigInt(-2n, 48);
+      buffer.write.bigInt(2n ** 47n - 1n, 48);
+      buffer.seek(0);
+      assert.equal(buffer.read.bigInt(48), -2n);
+      assert.equal(buffer.read.bigInt(48), 2n ** 47n - 1n);
+    });
+
+    await t.test("unaligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(1, 3);
+      buffer.write.bigUint(0x1fffffffffn, 37);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 1);
+      assert.equal(buffer.peek.bigUint(37), 0x1fffffffffn);
+      assert.equal(buffer.read.bigUint(37), 0x1fffffffffn);
+    });
+
+    await t.test("little endian", (t) => {
+      const buffer = new BitPackedBuffer(undefined, "little");
+      buffer.write.bigUint(0x0102030405060708n, 64);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x08, 0x07, 0x06, 0x05, 0x04, 0x03, 0x02, 0x01]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.bigUint(64), 0x0102030405060708n);
+    });
+
+    await t.test("matches 32-bit integers", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.int(-1, 32);
+      buffer.seek(0);
+      assert.equal(buffer.peek.int(32), -1);
+      assert.equal(buffer.read.bigInt(32), -1n);
+    });
+
+    await t.test("error conditions", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(4));
+      assert.throws(() => buffer.read.bigUint(0), RangeError);
+      assert.throws(() => buffer.read.bigUint(65), RangeError);
+      assert.throws(() => buffer.write.bigUint(0n, 65), RangeError);
+      assert.throws(() => buffer.read.bigUint(33), RangeError);
+    });
+  });
+
+  await t.test("float operations", async (t) => {
+    await t.test("byte-aligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.float16(1.5);
+      buffer.write.float32(-2.5);
+      buffer.write.float64(Math.PI);
+      assert.deepEqual(
+        buffer.getBuffer().subarray(0, 6),
+        new Uint8Array([0x3e, 0x00, 0xc0, 0x20, 0x00, 0x00]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.peek.float16(), 1.5);
+      assert.equal(buffer.read.float16(), 1.5);
+      assert.equal(buffer.read.float32(), -2.5);
+      assert.equal(buffer.read.float64(), Math.PI);
+    });
+
+    await t.test("unaligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(0b101, 3);
+      buffer.write.float32(0.1);
+      buffer.write.float64(-1e300);
+      buffer.write.float16(-0);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 0b101);
+      assert.equal(buffer.peek.float32(), Math.fround(0.1));
+      assert.equal(buffer.read.float32(), Math.fround(0.1));
+      assert.equal(buffer.read.float64(), -1e300);
+      assert.ok(Object.is(buffer.read.float16(), -0));
+    });
+
+    await t.test("little endian", (t) => {
+      const buffer = new BitPackedBuffer(undefined, "little");
+      buffer.write.float32(1);
+      buffer.write.float64(1);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0, 0, 0x80, 0x3f, 0, 0, 0, 0, 0, 0, 0xf0, 0x3f]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.float32(), 1);
+      assert.equal(buffer.read.float64(), 1);
+    });
+
+    await t.test("special values", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.float32(NaN);
+      buffer.write.float64(-Infinity);
+      buffer.seek(0);
+      assert.ok(Number.isNaN(buffer.read.float32()));
+      assert.equal(buffer.read.float64(), -Infinity);
+    });
+  });
+
+  await t.test("fixed-point operations", async (t) => {
+    await t.test("signed and unsigned formats", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.fixed(-1.5, 8, 8);
+      buffer.write.fixed(0.5, 1, 15);
+      buffer.write.fixed(65535.75, 16, 16, { signed: false });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0xfe, 0x80, 0x40, 0x00, 0xff, 0xff, 0xc0, 0x00]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.fixed(8, 8), -1.5);
+      assert.equal(buffer.read.fixed(1, 15), 0.5);
+      assert.equal(buffer.read.fixed(16, 16, { signed: false }), 65535.75);
+    });
+
+    await t.test("unaligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(1, 1);
+      buffer.write.fixed(-0.25, 2, 3);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(1), 1);
+      assert.equal(buffer.peek.fixed(2, 3), -0.25);
+      assert.equal(buffer.read.bits(5), 0b11110);
+    });
+
+    await t.test("rounding modes", (t) => {
+      const cases = [
+        ["nearest", [0.375, -0.375, 0.625], [0.5, -0.5, 0.75]],
+        ["nearestEven", [0.375, -0.375, 0.625], [0.5, -0.5, 0.5]],
+        ["floor", [0.375, -0.375, 0.625], [0.25, -0.5, 0.5]],
+        ["ceil", [0.375, -0.375, 0.625], [0.5, -0.25, 0.75]],
+        ["trunc", [0.375, -0.375, 0.625], [0.25, -0.25, 0.5]],
+      ];
+      for (const [rounding, inputs, expected] of cases) {
+        const buffer = new BitPackedBuffer();
+        for (const value of inputs)
+          buffer.write.fixed(value, 4, 2, { rounding });
+        buffer.seek(0);
+        assert.deepEqual(
+          inputs.map(() => buffer.read.fixed(4, 2)),
+          expected,
+          rounding,
+        );
+      }
+      assert.throws(
+        () => new BitPackedBuffer().write.fixed(1, 4, 4, { rounding: "up" }),
+        /Unknown rounding mode/,
+      );
+    });
+
+    await t.test("overflow", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(
+        () => buffer.write.fixed(1, 1, 15),
+        /out of range for Q1\.15/,
+      );
+      assert.throws(
+        () => buffer.write.fixed(-0.5, 4, 4, { signed: false }),
+        /out of range for UQ4\.4/,
+      );
+      // Values that only overflow after rounding
+      assert.throws(() => buffer.write.fixed(0.99999, 1, 3), RangeError);
+      assert.throws(() => buffer.write.fixed(NaN, 8, 8), RangeError);
+      assert.equal(buffer.bitPosition, 0);
+
+      const options = { overflow: "saturate" };
+      buffer.write.fixed(1, 1, 15, options);
+      buffer.write.fixed(-2, 1, 15, options);
+      buffer.write.fixed(Infinity, 4, 4, { ...options, signed: false });
+      buffer.write.fixed(-3, 4, 4, { ...options, signed: false });
+      buffer.seek(0);
+      assert.equal(buffer.read.fixed(1, 15), 1 - 2 ** -15);
+      assert.equal(buffer.read.fixed(1, 15), -1);
+      assert.equal(buffer.read.fixed(4, 4, { signed: false }), 16 - 2 ** -4);
+      assert.equal(buffer.read.fixed(4, 4, { signed: false }), 0);
+    });
+  });
+
+  await t.test("flags and enums", async (t) => {
+    const names = ["keyframe", "encrypted", null, "compressed"];
+    const kinds = { audio: 1, video: 2, data: 5 };
+
+    await t.test("flags", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0b1011_0000]));
+      assert.deepEqual(buffer.read.flags(names), {
+        keyframe: true,
+        encrypted: false,
+        compressed: true,
+      });
+      assert.equal(buffer.bitPosition, 4);
+
+      const writer = new BitPackedBuffer();
+      writer.write.flags({ encrypted: true, compressed: 1 }, names);
+      writer.write.bits(0xf, 4);
+      assert.deepEqual(writer.getBuffer(), new Uint8Array([0b0101_1111]));
+    });
+
+    await t.test("enums from objects and arrays", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.enum("video", 3, kinds).write.enum("b", 2, ["a", "b"]);
+      buffer.seek(0);
+      assert.equal(buffer.read.enum(3, kinds), "video");
+      assert.equal(buffer.read.enum(2, ["a", "b"]), "b");
+      assert.equal(buffer.bitPosition, 5);
+    });
+
+    await t.test("unknown codes", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0b0110_0000]));
+      assert.throws(() => buffer.peek.enum(3, kinds), {
+        name: "InvalidEncodingError",
+        bitOffset: 0,
+        bitCount: 3,
+      });
+      assert.equal(buffer.peek.enum(3, kinds, { unknown: "passthrough" }), 3);
+      assert.equal(
+        buffer.peek.enum(3, kinds, {
+          unknown: "default",
+          defaultValue: "other",
+        }),
+        "other",
+      );
+      assert.equal(buffer.tryRead.enum(3, kinds).ok, false);
+      assert.throws(
+        () => buffer.read.enum(3, kinds, { unknown: "ignore" }),
+        /Unknown enum mode/,
+      );
+    });
+
+    await t.test("unknown names", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(() => buffer.write.enum("text", 3, kinds), {
+        name: "ValueOutOfRangeError",
+        value: "text",
+      });
+      buffer.write.enum(7, 3, kinds, { unknown: "passthrough" });
+      buffer.write.enum("text", 3, kinds, {
+        unknown: "default",
+        defaultValue: "data",
+      });
+      buffer.seek(0);
+      assert.equal(buffer.read.uint(3), 7);
+      assert.equal(buffer.read.enum(3, kinds), "data");
+    });
+
+    await t.test("codes wider than the field", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(() => buffer.write.enum("x", 3, { x: 9 }), {
+        name: "ValueOutOfRangeError",
+        value: "x",
+      });
+      assert.throws(
+        () => buffer.write.enum(8, 3, kinds, { unknown: "passthrough" }),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () => buffer.write.enum(-2, 3, kinds, { unknown: "passthrough" }),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () =>
+          buffer.write.enum("text", 2, kinds, {
+            unknown: "default",
+            defaultValue: "data",
+          }),
+        ValueOutOfRangeError,
+      );
+      assert.equal(buffer.bitLength, 0);
+    });
+  });
+
+  await t.test("alternative integer representations", async (t) => {
+    await t.test("packed BCD", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bcd(1234, 4).write.bcd(7, 3);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x12, 0x34, 0x00, 0x70]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.bcd(4), 1234);
+      assert.equal(buffer.read.bcd(3), 7);
+    });
+
+    await t.test("unpacked BCD", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bcd(95, 3, { packed: false });
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0, 9, 5]));
+      buffer.seek(0);
+      assert.equal(buffer.read.bcd(3, { packed: false }), 95);
+    });
+
+    await t.test("invalid BCD", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x1a]));
+      assert.throws(
+        () => buffer.read.bcd(2),
+        (error) =>
+          error instanceof InvalidEncodingError && error.bitOffset === 4,
+      );
+      assert.throws(() => buffer.write.bcd(100, 2), ValueOutOfRangeError);
+      assert.throws(() => buffer.write.bcd(-1, 2), ValueOutOfRangeError);
+      assert.throws(() => buffer.read.bcd(16), RangeError);
+    });
+
+    await t.test("Gray code", (t) => {
+      const buffer = new BitPackedBuffer();
+      for (let i = 0; i < 8; i++) buffer.write.gray(i, 3);
+      buffer.write.gray(0xffffffff, 32);
+      buffer.seek(0);
+      const codes = [];
+      for (let i = 0; i < 8; i++)
+        codes.push(buffer.peek.bits(3), buffer.read.gray(3));
+      assert.deepEqual(codes, [0, 0, 1, 1, 3, 2, 2, 3, 6, 4, 7, 5, 5, 6, 4, 7]);
+      assert.equal(buffer.read.gray(32), 0xffffffff);
+    });
+
+    await t.test("sign-magnitude", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.signMagnitude(-5, 8).write.signMagnitude(-0, 8);
+      buffer.write.signMagnitude(-300, 12, { endian: "little" });
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x85, 0x80, 0x2c, 0x90]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.signMagnitude(8), -5);
+      assert.ok(Object.is(buffer.read.signMagnitude(8), -0));
+      assert.equal(buffer.read.signMagnitude(12, { endian: "little" }), -300);
+      assert.throws(
+        () => buffer.write.signMagnitude(128, 8),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () => buffer.write.signMagnitude(-128, 8),
+        ValueOutOfRangeError,
+      );
+    });
+
+    await t.test("ones' complement", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.onesComplement(-5, 8).write.onesComplement(-0, 8);
+      buffer.write.onesComplement(127, 8);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0xfa, 0xff, 0x7f]));
+      buffer.seek(0);
+      assert.equal(buffer.read.onesComplement(8), -5);
+      assert.ok(Object.is(buffer.read.onesComplement(8), -0));
+      assert.equal(buffer.read.onesComplement(8), 127);
+      assert.throws(
+        () => buffer.write.onesComplement(-128, 8),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () => buffer.write.onesComplement(1.5, 8),
+        ValueOutOfRangeError,
+      );
+    });
+
+    await t.test("bit-reversed integers", (t) => {
+      for (const endian of ["big", "little"]) {
+        const buffer = new BitPackedBuffer(undefined, endian);
+        buffer.write.bitReversed(0b110, 3).write.bitReversed(0x1234, 16);
+        // The least significant bit comes first, whatever the byte order
+        assert.deepEqual(
+          buffer.getBuffer(),
+          new Uint8Array([0x65, 0x89, 0x00]),
+        );
+        buffer.seek(0);
+        assert.equal(buffer.read.bitReversed(3), 0b110);
+        assert.equal(buffer.read.bitReversed(16), 0x1234);
+      }
+
+      for (const endian of ["big", "little"]) {
+        const buffer = new BitPackedBuffer(undefined, {
+          endian,
+          bitOrder: "lsb",
+        });
+        buffer.write.bitReversed(1, 8).write.bitReversed(0b110, 3);
+        buffer.write.bitReversed(0x1234, 16).write.bitReversed(1n, 40);
+        assert.deepEqual(
+          buffer.getBuffer(),
+          new Uint8Array([0x01, 0xa6, 0x91, 0x08, 0, 0, 0, 0, 0]),
+        );
+        buffer.seek(0);
+        assert.equal(buffer.read.bitReversed(8), 1);
+        assert.equal(buffer.read.bitReversed(3), 0b110);
+        assert.equal(buffer.read.bitReversed(16), 0x1234);
+        assert.equal(buffer.read.bitReversed(40), 1n);
+      }
+    });
+
+    await t.test("wider than 32 bits", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.signMagnitude(-5n, 40).write.onesComplement(-5, 40);
+      buffer.write.signMagnitude(-0, 40);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([
+          0x80, 0, 0, 0, 5, 0xff, 0xff, 0xff, 0xff, 0xfa, 0x80, 0, 0, 0, 0,
+        ]),
+      );
+      buffer.write.signMagnitude(2n ** 63n - 1n, 64, { endian: "little" });
+      buffer.write.gray(2n ** 47n + 5n, 48).write.bitReversed(1n, 64);
+
+      buffer.seek(0);
+      assert.equal(buffer.read.signMagnitude(40), -5n);
+      assert.equal(buffer.read.onesComplement(40), -5n);
+      assert.equal(buffer.read.signMagnitude(40), 0n);
+      assert.equal(
+        buffer.read.signMagnitude(64, { endian: "little" }),
+        2n ** 63n - 1n,
+      );
+      assert.equal(buffer.peek.bigUint(48), 0xc000_0000_0007n);
+      assert.equal(buffer.read.gray(48), 2n ** 47n + 5n);
+      assert.equal(buffer.peek.uint(8), 0x80);
+      assert.equal(buffer.read.bitReversed(64), 1n);
+
+      assert.throws(
+        () => buffer.write.signMagnitude(2n ** 39n, 40),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () => buffer.write.onesComplement(5n, 8),
+        ValueOutOfRangeError,
+      );
+      assert.throws(() => buffer.read.gray(65), InvalidBitCountError);
+    });
+  });
+
+  await t.test("variable-length integers", async (t) => {
+    await t.test("unsigned LEB128", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.varint(0);
+      buffer.write.varint(300);
+      buffer.write.varint(624485);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x00, 0xac, 0x02, 0xe5, 0x8e, 0x26]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.varint(), 0);
+      assert.equal(buffer.peek.varint(), 300);
+      assert.equal(buffer.read.varint(), 300);
+      assert.equal(buffer.read.varint(), 624485);
+    });
+
+    await t.test("signed LEB128", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.signedVarint(-123456);
+      buffer.write.signedVarint(63);
+      buffer.write.signedVarint(64);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0xc0, 0xbb, 0x78, 0x3f, 0xc0, 0x00]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.signedVarint(), -123456);
+      assert.equal(buffer.read.signedVarint(), 63);
+      assert.equal(buffer.read.signedVarint(), 64);
+    });
+
+    await t.test("ZigZag", (t) => {
+      const buffer = new BitPackedBuffer();
+      for (const value of [0, -1, 1, -2, 2147483647, -2147483648]) {
+        buffer.write.zigzagVarint(value);
+      }
+      buffer.seek(0);
+      assert.deepEqual(buffer.read.bytes(4), new Uint8Array([0, 1, 2, 3]));
+      buffer.seek(0);
+      for (const value of [0, -1, 1, -2, 2147483647, -2147483648]) {
+        assert.equal(buffer.read.zigzagVarint(), value);
+      }
+    });
+
+    await t.test("MIDI VLQ", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.vlq(0x7f);
+      buffer.write.vlq(0x80);
+      buffer.write.vlq(0x0fffffff);
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0x7f, 0x81, 0x00, 0xff, 0xff, 0xff, 0x7f]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.vlq(), 0x7f);
+      assert.equal(buffer.read.vlq(), 0x80);
+      assert.equal(buffer.read.vlq(), 0x0fffffff);
+    });
+
+    await t.test("BigInt variants", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bigVarint(2n ** 64n - 1n);
+      buffer.write.bigSignedVarint(-(2n ** 63n));
+      buffer.write.bigZigzagVarint(-(2n ** 63n));
+      buffer.write.bigVlq(2n ** 60n);
+      buffer.seek(0);
+      assert.equal(buffer.read.bigVarint(), 2n ** 64n - 1n);
+      assert.equal(buffer.read.bigSignedVarint(), -(2n ** 63n));
+      assert.equal(buffer.read.bigZigzagVarint(), -(2n ** 63n));
+      assert.equal(buffer.read.bigVlq(), 2n ** 60n);
+    });
+
+    await t.test("unaligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(1, 1);
+      buffer.write.varint(300);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(1), 1);
+      assert.equal(buffer.read.varint(), 300);
+    });
+
+    await t.test("error conditions", (t) => {
+      const overlong = new Uint8Array(11).fill(0x80);
+      assert.throws(
+        () => new BitPackedBuffer(overlong).read.varint(),
+        /maximum length of 10 bytes/,
+      );
+      assert.throws(
+        () => new BitPackedBuffer(overlong).read.vlq({ maxBytes: 4 }),
+        /maximum length of 4 bytes/,
+      );
+      assert.throws(
+        () => new BitPackedBuffer(new Uint8Array([0x80])).read.varint(),
+        RangeError,
+      );
+
+      const buffer = new BitPackedBuffer();
+      buffer.write.bigVarint(2n ** 60n);
+      buffer.seek(0);
+      assert.throws(() => buffer.peek.varint(), InvalidEncodingError);
+      assert.throws(() => buffer.peek.varint(), /use the BigInt variant/);
+      assert.equal(buffer.read.bigVarint(), 2n ** 60n);
+
+      assert.throws(() => buffer.write.varint(-1), RangeError);
+      assert.throws(() => buffer.write.vlq(-1), RangeError);
+
+      const methods = ["varint", "signedVarint", "zigzagVarint", "vlq"];
+      for (const method of methods) {
+        assert.throws(
+          () => buffer.write[method](1.5),
+          (error) =>
+            error instanceof ValueOutOfRangeError &&
+            error.value === 1.5 &&
+            error.bitOffset === buffer.bitPosition,
+        );
+      }
+      assert.throws(() => buffer.write.varint(NaN), ValueOutOfRangeError);
+    });
+  });
+
+  await t.test("universal codes", async (t) => {
+    await t.test("Exp-Golomb", (t) => {
+      const buffer = new BitPackedBuffer();
+      for (const value of [0, 1, 2, 3, 7]) buffer.write.expGolomb(value);
+      // 1 010 011 00100 0001000
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0b10100110, 0b01000001, 0b00000000]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.peek.expGolomb(), 0);
+      for (const value of [0, 1, 2, 3, 7]) {
+        assert.equal(buffer.read.expGolomb(), value);
+      }
+    });
+
+    await t.test("signed Exp-Golomb", (t) => {
+      const values = [0, 1, -1, 2, -2, 1000, -1000];
+      const buffer = new BitPackedBuffer();
+      for (const value of values) buffer.write.signedExpGolomb(value);
+      buffer.seek(0);
+      assert.equal(buffer.read.expGolomb(), 0);
+      assert.equal(buffer.read.expGolomb(), 1);
+      assert.equal(buffer.read.expGolomb(), 2);
+      buffer.seek(0);
+      for (const value of values) {
+        assert.equal(buffer.read.signedExpGolomb(), value);
+      }
+    });
+
+    await t.test("large Exp-Golomb values", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.expGolomb(2 ** 33 - 2);
+      buffer.write.expGolomb(0xffffffff);
+      buffer.seek(0);
+      assert.equal(buffer.read.expGolomb(), 2 ** 33 - 2);
+      assert.equal(buffer.read.expGolomb(), 0xffffffff);
+    });
+
+    await t.test("Elias gamma and delta", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.eliasGamma(1);
+      buffer.write.eliasGamma(5);
+      buffer.write.eliasDelta(1);
+      buffer.write.eliasDelta(10);
+      // 1 00101 1 00100010
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0b10010110, 0b01000100]),
+      );
+      buffer.seek(0);
+      assert.equal(buffer.read.eliasGamma(), 1);
+      assert.equal(buffer.read.eliasGamma(), 5);
+      assert.equal(buffer.read.eliasDelta(), 1);
+      assert.equal(buffer.read.eliasDelta(), 10);
+    });
+
+    await t.test("Rice", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.rice(9, 2);
+      buffer.write.rice(3, 0);
+      buffer.write.rice(100, 3);
+      // 110 01 1110 1111111111110 100
+      buffer.seek(0);
+      assert.equal(buffer.peek.bits(9), 0b110011110);
+      assert.equal(buffer.read.rice(2), 9);
+      assert.equal(buffer.read.rice(0), 3);
+      assert.equal(buffer.read.rice(3), 100);
+    });
+
+    await t.test("Golomb", (t) => {
+      // m = 10 uses 3-bit remainders below 6 and 4-bit remainders above
+      const buffer = new BitPackedBuffer();
+      buffer.write.golomb(42, 10);
+      buffer.write.golomb(9, 10);
+      buffer.write.golomb(5, 1);
+      buffer.seek(0);
+      assert.equal(buffer.peek.bits(8), 0b11110010);
+      assert.equal(buffer.read.golomb(10), 42);
+      assert.equal(buffer.peek.bits(5), 0b01111);
+      assert.equal(buffer.read.golomb(10), 9);
+      assert.equal(buffer.read.golomb(1), 5);
+    });
+
+    await t.test("error conditions", (t) => {
+      const zeros = new BitPackedBuffer(new Uint8Array(8));
+      assert.throws(() => zeros.read.expGolomb(), /32 leading zero bits/);
+
+      const buffer = new BitPackedBuffer();
+      assert.throws(() => buffer.write.expGolomb(-1), RangeError);
+      assert.throws(() => buffer.write.expGolomb(2 ** 33), RangeError);
+      assert.throws(() => buffer.write.eliasGamma(0), RangeError);
+      assert.throws(() => buffer.write.eliasDelta(0), RangeError);
+      for (const write of ["signedExpGolomb", "eliasGamma", "eliasDelta"]) {
+        assert.throws(() => buffer.write[write](1.5), ValueOutOfRangeError);
+      }
+      assert.throws(
+        () => buffer.write.signedExpGolomb(2 ** 32),
+        ValueOutOfRangeError,
+      );
+      assert.throws(
+        () => buffer.write.eliasGamma(2 ** 33),
+        ValueOutOfRangeError,
+      );
+      assert.equal(buffer.bitPosition, 0);
+      assert.throws(() => buffer.write.golomb(1, 0), RangeError);
+      assert.throws(() => buffer.write.rice(-1, 2), RangeError);
+    });
   });
 
   await t.test("buffer operations", async (t) => {
@@ -249,6 +1305,72 @@ test("BitPackedBuffer", async (t) => {
       });
     });
 
+    await t.test("bit positioning", async (t) => {
+      await t.test("bitPosition and bitLength", (t) => {
+        const buffer = new BitPackedBuffer(new Uint8Array([0xab, 0xcd]));
+        assert.equal(buffer.bitLength, 16);
+        assert.equal(buffer.bitPosition, 0);
+        buffer.read.bits(5);
+        assert.equal(buffer.bitPosition, 5);
+        assert.equal(buffer.bitsRemaining(), 11);
+      });
+
+      await t.test("seekBit", (t) => {
+        const buffer = new BitPackedBuffer(new Uint8Array([0xab, 0xcd]));
+        buffer.seekBit(13);
+        assert.equal(buffer.bitPosition, 13);
+        assert.equal(buffer.read.bits(3), 0b101);
+        buffer.seekBit(4);
+        assert.equal(buffer.peek.bits(8), 0xbc);
+        assert.equal(buffer.bitPosition, 4);
+        assert.throws(() => buffer.seekBit(-1), RangeError);
+      });
+
+      await t.test("skipBits", (t) => {
+        const buffer = new BitPackedBuffer(new Uint8Array([0b11100101]));
+        buffer.read.bits(3);
+        buffer.skipBits(2);
+        assert.equal(buffer.read.bits(3), 0b101);
+        assert.equal(buffer.isComplete(), true);
+      });
+
+      await t.test("with marks", (t) => {
+        const buffer = new BitPackedBuffer(new Uint8Array([0xab, 0xcd]));
+        buffer.seekBit(7);
+        buffer.mark("seven");
+        buffer.skipBits(6);
+        buffer.reset("seven");
+        assert.equal(buffer.bitPosition, 7);
+        assert.equal(buffer.read.bits(2), 0b11);
+      });
+
+      await t.test("while writing", (t) => {
+        const buffer = new BitPackedBuffer();
+        buffer.write.bits(0b101, 3);
+        assert.equal(buffer.bitPosition, 3);
+        assert.equal(buffer.bitLength, 3);
+        buffer.skipBits(2);
+        buffer.write.bits(0b111, 3);
+        assert.equal(buffer.bitLength, 8);
+        assert.deepEqual(buffer.getBuffer(), new Uint8Array([0b10100111]));
+
+        buffer.seekBit(3);
+        assert.equal(buffer.bitsRemaining(), 5);
+        buffer.write.bits(0b11, 2);
+        buffer.seekBit(0);
+        assert.equal(buffer.read.bits(8), 0b10111111);
+      });
+
+      await t.test("reads stop at written data", (t) => {
+        const buffer = new BitPackedBuffer();
+        buffer.write.bits(0b101, 3);
+        buffer.seekBit(0);
+        assert.throws(() => buffer.read.bits(4), RangeError);
+        assert.equal(buffer.bitPosition, 0);
+        assert.equal(buffer.read.bits(3), 0b101);
+      });
+    });
+
     await t.test("marks and reset", async (t) => {
       const buffer = new BitPackedBuffer(new Uint8Array([1, 2, 3]));
 
@@ -304,6 +1426,36 @@ test("BitPackedBuffer", async (t) => {
         assert.deepEqual(buffer.getBuffer(), new Uint8Array([0xff]));
       });
 
+      await t.test("getBuffer with partial byte", (t) => {
+        const buf = new BitPackedBuffer();
+        buf.write.bits(0xff, 8);
+        buf.write.bits(0b101, 3);
+        assert.deepEqual(buf.getBuffer(), new Uint8Array([0xff, 0b10100000]));
+      });
+
+      await t.test("getBuffer keeps the position", (t) => {
+        const buf = new BitPackedBuffer();
+        buf.write.bits(0b101, 3);
+        assert.deepEqual(buf.getBuffer(), new Uint8Array([0b10100000]));
+        assert.equal(buf.bitPosition, 3);
+        buf.write.bits(0b11111, 5);
+        assert.deepEqual(buf.getBuffer(), new Uint8Array([0b10111111]));
+      });
+
+      await t.test("alignToByte with last", (t) => {
+        const buf = new BitPackedBuffer();
+        buf.write.bits(0b101, 3).alignToByte(true).write.bits(0xff, 8);
+        assert.deepEqual(buf.getBuffer(), new Uint8Array([0b10100000, 0xff]));
+      });
+
+      await t.test("alignToByte while reading", (t) => {
+        const buf = new BitPackedBuffer(new Uint8Array([0xa5, 0x0f]));
+        assert.equal(buf.read.bits(4), 0xa);
+        buf.alignToByte();
+        assert.equal(buf.read.bits(8), 0x0f);
+        assert.deepEqual(buf.data, new Uint8Array([0xa5, 0x0f]));
+      });
+
       await t.test("clear", (t) => {
         buffer.clear();
         assert.equal(buffer.position, 0);
@@ -332,4 +1484,746 @@ test("BitPackedBuffer", async (t) => {
       });
     });
   });
+
+  await t.test("fast paths", async (t) => {
+    // Deterministic pseudo-random bytes
+    const bytes = Uint8Array.from(
+      { length: 64 },
+      (_, i) => (i * 167 + 13) & 0xff,
+    );
+
+    for (const bitOrder of ["msb", "lsb"]) {
+      await t.test(
+        `${bitOrder}-first multi-bit reads match single bits`,
+        (t) => {
+          const buffer = new BitPackedBuffer(bytes, { bitOrder });
+          for (const width of [5, 13, 24, 31, 32]) {
+            for (let offset = 0; offset < 16; offset++) {
+              buffer.seekBit(offset);
+              let expected = 0;
+              for (let i = 0; i < width; i++) {
+                const bit = buffer.read.bits(1);
+                expected +=
+                  bitOrder === "msb"
+                    ? bit * 2 ** (width - 1 - i)
+                    : bit * 2 ** i;
+              }
+              buffer.seekBit(offset);
+              assert.equal(buffer.read.bits(width), expected);
+              assert.equal(buffer.bitPosition, offset + width);
+            }
+          }
+        },
+      );
+    }
+
+    await t.test("aligned words", (t) => {
+      for (const endian of ["big", "little"]) {
+        const buffer = new BitPackedBuffer(undefined, endian);
+        buffer.write.uint(0x1234, 16).write.uint(0x89abcdef, 32);
+        buffer.write.bigUint(0x0102030405060708n, 64).write.float64(-0.5);
+        buffer.write.uint(-1, 16);
+
+        const view = new DataView(buffer.getBuffer().buffer);
+        const little = endian === "little";
+        assert.equal(view.getUint16(0, little), 0x1234);
+        assert.equal(view.getUint32(2, little), 0x89abcdef);
+        assert.equal(view.getBigUint64(6, little), 0x0102030405060708n);
+        assert.equal(view.getFloat64(14, little), -0.5);
+        assert.equal(view.getUint16(22, little), 0xffff);
+
+        buffer.seek(0);
+        assert.equal(buffer.read.uint(16), 0x1234);
+        assert.equal(buffer.read.uint(32), 0x89abcdef);
+        assert.equal(buffer.read.bigUint(64), 0x0102030405060708n);
+        assert.equal(buffer.read.float64(), -0.5);
+        assert.equal(buffer.read.uint(16), 0xffff);
+        assert.ok(buffer.isComplete());
+        assert.throws(() => buffer.read.uint(16), RangeError);
+      }
+    });
+
+    await t.test("bulk bytes", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(1, 1);
+      buffer.write.bytes(bytes);
+      buffer.write.bytes([1, 2]);
+      buffer.write.bytes(new Set([3]));
+      assert.equal(buffer.bitLength, (1 + 64 + 3) * 8);
+
+      buffer.seek(0);
+      buffer.read.bits(1);
+      const read = buffer.read.bytes(64);
+      assert.deepEqual(read, bytes);
+      read[0] = 0;
+      assert.equal(buffer.data[1], bytes[0], "read.bytes returns a copy");
+      assert.throws(() => buffer.read.bytes(4), RangeError);
+      assert.deepEqual(buffer.read.bytes(3), new Uint8Array([1, 2, 3]));
+    });
+
+    await t.test("peek restores a mid-byte position", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(2));
+      buffer.seekBit(4);
+      assert.equal(buffer.peek.bits(4), 0);
+      buffer.write.bits(0b1111, 4);
+      buffer.seekBit(4);
+      assert.equal(buffer.peek.bits(4), 0b1111);
+      assert.equal(buffer.bitPosition, 4);
+    });
+  });
+
+  await t.test("tracing", async (t) => {
+    await t.test("records reads and writes", (t) => {
+      const buffer = new BitPackedBuffer(undefined, { trace: true });
+      buffer.label("version").write.uint(2, 4);
+      buffer.write.bits(1, 1);
+      buffer.label("name").write.string("hi");
+      assert.deepEqual(buffer.trace, [
+        {
+          operation: "write",
+          method: "uint",
+          bitOffset: 0,
+          width: 4,
+          value: 2,
+          label: "version",
+        },
+        {
+          operation: "write",
+          method: "bits",
+          bitOffset: 4,
+          width: 1,
+          value: 1,
+          label: undefined,
+        },
+        {
+          operation: "write",
+          method: "string",
+          bitOffset: 8,
+          width: 16,
+          value: "hi",
+          label: "name",
+        },
+      ]);
+
+      buffer.seek(0);
+      buffer.label("version").read.uint(4);
+      assert.deepEqual(buffer.trace.at(-1), {
+        operation: "read",
+        method: "uint",
+        bitOffset: 0,
+        width: 4,
+        value: 2,
+        label: "version",
+      });
+    });
+
+    await t.test("records composite operations once and skips peeks", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([2, 0x61, 0x62]), {
+        trace: true,
+      });
+      assert.equal(buffer.peek.prefixedString(), "ab");
+      assert.equal(buffer.trace.length, 0);
+      buffer.read.prefixedString();
+      assert.equal(buffer.trace.length, 1);
+      assert.equal(buffer.trace[0].width, 24);
+    });
+
+    await t.test("failed operations are not recorded", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([1]), { trace: true });
+      assert.throws(() => buffer.label("x").read.uint(16), RangeError);
+      buffer.read.uint(8);
+      assert.deepEqual(
+        buffer.trace.map((entry) => entry.label),
+        [undefined],
+      );
+      buffer.clear();
+      assert.deepEqual(buffer.trace, []);
+    });
+
+    await t.test("disabled by default", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.label("ignored").write.uint(1, 8);
+      assert.equal(buffer.trace, null);
+    });
+  });
+
+  await t.test("reserved fields", async (t) => {
+    await t.test("length before payload", (t) => {
+      const buffer = new BitPackedBuffer();
+      const length = buffer.reserve(16);
+      buffer.write.string("hello");
+      length.setSize();
+      assert.deepEqual(
+        buffer.getBuffer(),
+        new Uint8Array([0, 5, 0x68, 0x65, 0x6c, 0x6c, 0x6f]),
+      );
+    });
+
+    await t.test("at unaligned positions", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(0b101, 3);
+      const field = buffer.reserve(10);
+      buffer.write.bits(0b111, 3).write.bits(0xabc, 12);
+      field.set(0x3ff);
+      assert.equal(buffer.bitPosition, 28);
+
+      buffer.write.bits(0xf, 4);
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 0b101);
+      assert.equal(buffer.read.bits(10), 0x3ff);
+      assert.equal(buffer.read.bits(3), 0b111);
+      assert.equal(buffer.read.bits(12), 0xabc);
+      assert.equal(buffer.read.bits(4), 0xf);
+    });
+
+    await t.test("sizes between marks and reservations", (t) => {
+      const buffer = new BitPackedBuffer();
+      const offset = buffer.reserve(8);
+      const bits = buffer.reserve(8);
+      buffer.write.bits(0, 5).mark("body").write.uint(0, 19);
+      const tail = buffer.reserve(4);
+
+      offset.setSize({ from: 0, to: "body", unit: 1 });
+      bits.setSize({ to: tail, unit: 1 });
+      tail.setSize({ from: "body", to: tail, unit: 19 });
+
+      buffer.seek(0);
+      assert.equal(buffer.read.uint(8), 21);
+      assert.equal(buffer.read.uint(8), 24);
+      buffer.skipBits(24);
+      assert.equal(buffer.read.uint(4), 1);
+    });
+
+    await t.test("wide fields with byte order", (t) => {
+      const buffer = new BitPackedBuffer(undefined, "little");
+      buffer.write.bits(1, 1);
+      buffer.reserve(40).set(0x0102030405n);
+      buffer.reserve(24).set(0x123456);
+      buffer.seekBit(1);
+      assert.equal(buffer.read.bigUint(40), 0x0102030405n);
+      assert.equal(buffer.read.uint(24), 0x123456);
+    });
+
+    await t.test("writes keep neighbouring bits", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff]));
+      buffer.seekBit(4).write.bits(0, 6);
+      assert.deepEqual(buffer.data, new Uint8Array([0xf0, 0x3f]));
+
+      const lsb = new BitPackedBuffer(new Uint8Array([0xff, 0xff]), {
+        bitOrder: "lsb",
+      });
+      lsb.seekBit(4).write.bits(0, 6);
+      assert.deepEqual(lsb.data, new Uint8Array([0x0f, 0xfc]));
+    });
+
+    await t.test("error conditions", (t) => {
+      const buffer = new BitPackedBuffer();
+      assert.throws(() => buffer.reserve(65), InvalidBitCountError);
+
+      const field = buffer.reserve(4);
+      assert.throws(() => field.set(16), {
+        name: "ValueOutOfRangeError",
+        value: 16,
+        bitOffset: 0,
+      });
+      assert.throws(() => field.set(-1), ValueOutOfRangeError);
+      assert.throws(() => field.set(1.5), ValueOutOfRangeError);
+      assert.throws(() => field.set(16n), ValueOutOfRangeError);
+
+      buffer.write.bits(0, 3);
+      assert.throws(() => field.setSize(), /whole number of 8-bit units/);
+      assert.throws(() => field.setSize({ from: 8 }), /ends before it starts/);
+      assert.throws(() => field.setSize({ from: "nope" }), MissingMarkError);
+    });
+  });
+
+  await t.test("patching", async (t) => {
+    await t.test("overwrites only the targeted bits", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff, 0xff]));
+      buffer.read.bits(5);
+      buffer.patch.bits(3, 0, 6).patch.uint(12, 0x5, 4);
+      assert.deepEqual(buffer.data, new Uint8Array([0xe0, 0x75, 0xff]));
+      assert.equal(buffer.bitPosition, 5);
+      assert.equal(buffer.read.bits(3), 0);
+    });
+
+    await t.test("all write types", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(8).fill(0xff), {
+        bitOrder: "lsb",
+        endian: "little",
+      });
+      buffer.patch.int(4, -2, 16).patch.float32(40, 1.5);
+      buffer.patch.varint(20, 300);
+      buffer.seekBit(4);
+      assert.equal(buffer.read.int(16), -2);
+      assert.equal(buffer.read.varint(), 300);
+      buffer.skipBits(4);
+      assert.equal(buffer.read.float32(), 1.5);
+      assert.equal(buffer.data[0] & 0xf, 0xf);
+    });
+
+    await t.test("byte operations align", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff, 0xff]));
+      buffer.patch.bytes(3, [0x12]);
+      assert.deepEqual(buffer.data, new Uint8Array([0xff, 0x12, 0xff]));
+    });
+
+    await t.test("are traced", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(2), { trace: true });
+      buffer.patch.uint(4, 3, 8);
+      assert.equal(buffer.trace[0].bitOffset, 4);
+      assert.equal(buffer.trace[0].width, 8);
+    });
+  });
+
+  await t.test("inserting and deleting bits", async (t) => {
+    await t.test("unaligned", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(0b101, 3).write.bits(0x3ff, 10).write.bits(0b11, 2);
+      buffer.insertBits(3, 5);
+      assert.equal(buffer.bitLength, 20);
+      assert.equal(buffer.bitPosition, 20);
+      buffer.patch.bits(3, 0b10001, 5);
+
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 0b101);
+      assert.equal(buffer.read.bits(5), 0b10001);
+      assert.equal(buffer.read.bits(10), 0x3ff);
+      assert.equal(buffer.read.bits(2), 0b11);
+
+      buffer.deleteBits(3, 5);
+      assert.equal(buffer.bitLength, 15);
+      assert.equal(buffer.bitPosition, 15);
+      assert.deepEqual(
+        buffer.data.subarray(0, 3),
+        new Uint8Array([0xbf, 0xfe, 0]),
+      );
+    });
+
+    await t.test("aligned", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([1, 2, 3]));
+      buffer.insertBits(8, 16);
+      assert.deepEqual(
+        buffer.data.subarray(0, 5),
+        new Uint8Array([1, 0, 0, 2, 3]),
+      );
+      buffer.deleteBits(0, 24);
+      assert.deepEqual(buffer.data.subarray(0, 3), new Uint8Array([2, 3, 0]));
+      assert.equal(buffer.bitLength, 16);
+    });
+
+    await t.test("move the position and marks", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(4));
+      buffer.seekBit(4).mark("at").seekBit(10).mark("after");
+      buffer.seekBit(20);
+      buffer.insertBits(4, 6);
+      assert.equal(buffer.bitPosition, 26);
+      assert.equal(buffer.reset("at").bitPosition, 4);
+      assert.equal(buffer.reset("after").bitPosition, 16);
+
+      buffer.deleteBits(2, 10);
+      assert.equal(buffer.bitPosition, 6);
+      assert.equal(buffer.reset("at").bitPosition, 2);
+    });
+
+    await t.test("error conditions", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(1));
+      assert.throws(() => buffer.insertBits(9, 1), RangeError);
+      assert.throws(() => buffer.deleteBits(4, 5), RangeError);
+      assert.throws(
+        () => buffer.slice(0, 8).insertBits(0, 1),
+        BufferOverflowError,
+      );
+    });
+  });
+
+  await t.test("writing buffers", async (t) => {
+    await t.test("at an unaligned position", (t) => {
+      const other = new BitPackedBuffer();
+      other.write.bits(0b10110, 5).write.uint(0xabcd, 16);
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(0b111, 3).write.buffer(other).write.bits(1, 1);
+      assert.equal(buffer.bitLength, 25);
+
+      buffer.seek(0);
+      assert.equal(buffer.read.bits(3), 0b111);
+      assert.equal(buffer.read.bits(5), 0b10110);
+      assert.equal(buffer.read.uint(16), 0xabcd);
+      assert.equal(buffer.read.bits(1), 1);
+    });
+
+    await t.test("aligned, from a view", (t) => {
+      const source = new BitPackedBuffer(new Uint8Array([1, 2, 3, 0xf0]));
+      const buffer = new BitPackedBuffer();
+      buffer.write.uint(9, 8).write.buffer(source.slice(8, 20));
+      assert.equal(buffer.bitLength, 28);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([9, 2, 3, 0xf0]));
+    });
+
+    await t.test("only the first bitLength bits", (t) => {
+      const other = new BitPackedBuffer(new Uint8Array([0xff, 0xff]));
+      const buffer = new BitPackedBuffer();
+      buffer.write.buffer(other, { bitLength: 4 });
+      assert.equal(buffer.bitLength, 4);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0xf0]));
+      assert.throws(
+        () => buffer.write.buffer(other, { bitLength: 17 }),
+        BufferUnderrunError,
+      );
+    });
+
+    await t.test("between bit orders", (t) => {
+      const lsb = new BitPackedBuffer(null, { bitOrder: "lsb" });
+      lsb.write.bits(0b110, 3).write.bits(0x5a, 8);
+      const msb = new BitPackedBuffer();
+      msb.write.bits(1, 1).write.buffer(lsb);
+
+      // The bits keep their stream order
+      msb.seek(0);
+      assert.equal(msb.read.bits(1), 1);
+      lsb.seek(0);
+      for (let i = 0; i < 11; i++) {
+        assert.equal(msb.read.bits(1), lsb.read.bits(1));
+      }
+    });
+
+    await t.test("from the same buffer", (t) => {
+      const buffer = new BitPackedBuffer();
+      for (let i = 0; i < 10; i++) buffer.write.uint(i * 7, 8);
+      buffer.seekBit(4).write.buffer(buffer, { bitLength: 80 });
+
+      buffer.seekBit(4);
+      for (let i = 0; i < 10; i++) assert.equal(buffer.read.uint(8), i * 7);
+      assert.equal(buffer.bitLength, 84);
+    });
+
+    await t.test("doesn't move the other buffer", (t) => {
+      const other = new BitPackedBuffer(new Uint8Array([1, 2]));
+      other.read.bits(3);
+      new BitPackedBuffer().write.buffer(other);
+      assert.equal(other.bitPosition, 3);
+    });
+  });
+
+  await t.test("bitwise operations", async (t) => {
+    await t.test("combine ranges", (t) => {
+      const mask = new BitPackedBuffer(new Uint8Array([0x0f, 0xf0]));
+      const data = () => new BitPackedBuffer(new Uint8Array([0x3c, 0x3c, 0]));
+      assert.deepEqual(data().and(mask).data, new Uint8Array([0x0c, 0x30, 0]));
+      assert.deepEqual(
+        data().or(mask, 8).data,
+        new Uint8Array([0x3c, 0x3f, 0xf0]),
+      );
+      assert.deepEqual(
+        data().xor(mask, 4, 8).data,
+        new Uint8Array([0x3c, 0xcc, 0]),
+      );
+      assert.deepEqual(data().not(2, 4).data, new Uint8Array([0x00, 0x3c, 0]));
+    });
+
+    await t.test("unaligned and across bit orders", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(6));
+      const ones = new BitPackedBuffer(null, { bitOrder: "lsb" });
+      ones.write.bits(0b101, 3).write.bits(0xffffffff, 32);
+      buffer.or(ones, 5);
+      assert.equal(buffer.seekBit(5).peek.bits(3), 0b101);
+      assert.equal(buffer.seekBit(8).peek.uint(32), 0xffffffff);
+      assert.equal(buffer.seekBit(40).peek.bits(8), 0);
+
+      buffer.not(3, 40);
+      assert.equal(buffer.seekBit(0).peek.bits(8), 0b00011010);
+      assert.equal(buffer.seekBit(8).peek.uint(32), 0);
+      assert.equal(buffer.seekBit(40).peek.bits(8), 0b11100000);
+    });
+
+    await t.test("with an overlapping range of the same buffer", (t) => {
+      const data = new Uint8Array(9).map((_, i) => i * 37);
+      const expected = new BitPackedBuffer(data.slice());
+      const copy = new BitPackedBuffer(data.slice(0, 8));
+      expected.xor(copy, 4, 64);
+
+      const buffer = new BitPackedBuffer(data);
+      buffer.xor(buffer.slice(0, 64), 4, 64);
+      assert.deepEqual(buffer.data, expected.data);
+
+      // A view starting mid-byte, shared with the target
+      const fromCopy = new BitPackedBuffer(buffer.data.slice());
+      fromCopy.and(new BitPackedBuffer(buffer.data.slice()).slice(3, 32), 12);
+      buffer.and(buffer.slice(3, 32), 12);
+      assert.deepEqual(buffer.data, fromCopy.data);
+    });
+
+    await t.test("keep the position", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bits(0, 12);
+      buffer.not();
+      assert.equal(buffer.bitPosition, 12);
+      buffer.write.bits(0, 4);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0xff, 0xf0]));
+    });
+
+    await t.test("count and find set bits", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(9));
+      assert.equal(buffer.popcount(), 0);
+      assert.equal(buffer.findFirstSet(), -1);
+
+      buffer.patch.bits(37, 1, 1).patch.bits(70, 0b11, 2);
+      assert.equal(buffer.popcount(), 3);
+      assert.equal(buffer.popcount(38), 2);
+      assert.equal(buffer.popcount(0, 71), 2);
+      assert.equal(buffer.findFirstSet(), 37);
+      assert.equal(buffer.findFirstSet(38), 70);
+      assert.equal(buffer.findFirstSet(38, 32), -1);
+      assert.equal(buffer.bitPosition, 0);
+    });
+
+    await t.test("find set bits in LSB-first buffers", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x80, 0, 0x02]), {
+        bitOrder: "lsb",
+      });
+      assert.equal(buffer.findFirstSet(), 7);
+      assert.equal(buffer.findFirstSet(8), 17);
+      assert.equal(buffer.popcount(), 2);
+    });
+
+    await t.test("error conditions", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array(1));
+      const other = new BitPackedBuffer(new Uint8Array(1));
+      assert.throws(() => buffer.and(other, 1), RangeError);
+      assert.throws(() => buffer.not(-1), RangeError);
+      assert.throws(() => buffer.popcount(4, 5), RangeError);
+      assert.throws(
+        () => buffer.or(other.slice(0, 4), 0, 8),
+        BufferUnderrunError,
+      );
+    });
+  });
+
+  await t.test("views", async (t) => {
+    await t.test("share data without copying", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([1, 2, 3, 4]));
+      buffer.read.uint(8);
+      const view = buffer.view(16);
+      assert.equal(view.data.buffer, buffer.data.buffer);
+      assert.equal(view.bitPosition, 0);
+      assert.equal(view.bitLength, 16);
+      assert.equal(view.read.uint(16), 0x0203);
+      assert.equal(buffer.bitPosition, 8);
+
+      view.seek(0).write.uint(0xff, 8);
+      assert.equal(buffer.data[1], 0xff);
+    });
+
+    await t.test("start mid-byte", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0b10110011, 0xc0]));
+      const view = buffer.slice(3, 7);
+      assert.equal(view.bitPosition, 0);
+      assert.equal(view.read.bits(7), 0b1001111);
+      assert.ok(view.isComplete());
+
+      view.seekBit(2);
+      assert.equal(view.read.bits(3), 0b011);
+      assert.equal(view.bitsRemaining(), 2);
+    });
+
+    await t.test("lsb-first and little endian", (t) => {
+      const buffer = new BitPackedBuffer(undefined, {
+        endian: "little",
+        bitOrder: "lsb",
+      });
+      buffer.write.bits(5, 3).write.uint(0x1234, 16);
+      const view = buffer.slice(3, 16);
+      assert.equal(view.isBigEndian, false);
+      assert.equal(view.isLsbFirst, true);
+      assert.equal(view.read.uint(16), 0x1234);
+    });
+
+    await t.test("are bounded to their range", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff, 0xff]));
+      const view = buffer.slice(4, 12);
+      view.read.bits(8);
+      assert.throws(() => view.read.bits(8), {
+        name: "BufferUnderrunError",
+        bitOffset: 8,
+        available: 4,
+      });
+      assert.throws(() => view.write.bits(0, 5), BufferOverflowError);
+      assert.throws(() => view.seekBit(13), BufferOverflowError);
+      assert.equal(buffer.data.length, 3);
+    });
+
+    await t.test("advance the parent on request", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x12, 0x34, 0x56]));
+      const header = buffer.view(12, { advance: true });
+      assert.equal(buffer.bitPosition, 12);
+      assert.equal(header.read.uint(12), 0x123);
+      assert.equal(buffer.read.uint(12), 0x456);
+
+      const rest = buffer.seek(1).view();
+      assert.equal(rest.bitLength, 16);
+    });
+
+    await t.test("nest", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x0f, 0xf0]));
+      const inner = buffer.slice(2, 12).slice(3, 6);
+      assert.equal(inner.read.bits(6), 0b111111);
+    });
+
+    await t.test("error conditions", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0]));
+      assert.throws(() => buffer.slice(-1, 2), RangeError);
+      assert.throws(() => buffer.slice(4, 5), BufferUnderrunError);
+      buffer.read.bits(4);
+      assert.throws(() => buffer.view(5), BufferUnderrunError);
+      assert.equal(buffer.view().bitLength, 4);
+    });
+  });
+
+  await t.test("capacity and size limits", async (t) => {
+    await t.test("initial capacity", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xab]), {
+        capacity: 1024,
+      });
+      assert.equal(buffer.data.length, 1024);
+      assert.equal(buffer.bitLength, 8);
+      const { data } = buffer;
+      buffer.seek(1).write.bytes(new Uint8Array(1000));
+      assert.equal(buffer.data, data);
+
+      buffer.clear();
+      assert.equal(buffer.data.length, 1024);
+      assert.equal(buffer.bitLength, 0);
+    });
+
+    await t.test("maximum size", (t) => {
+      const buffer = new BitPackedBuffer(undefined, { maxSize: 100 });
+      buffer.write.bytes(new Uint8Array(99)).write.bits(0xff, 8);
+      assert.equal(buffer.data.length, 100);
+      assert.throws(
+        () => buffer.write.bits(1, 1),
+        (error) =>
+          error instanceof BufferOverflowError &&
+          error.bitOffset === 800 &&
+          error.available === 0,
+      );
+      assert.throws(() => buffer.seek(101), BufferOverflowError);
+
+      buffer.clear();
+      assert.throws(() => buffer.seek(101), BufferOverflowError);
+      assert.throws(
+        () => new BitPackedBuffer(new Uint8Array(101), { maxSize: 100 }),
+        BufferOverflowError,
+      );
+    });
+
+    await t.test("fixed size", (t) => {
+      const buffer = new BitPackedBuffer(undefined, {
+        capacity: 2,
+        fixedSize: true,
+      });
+      buffer.write.uint(0x1234, 16);
+      assert.throws(() => buffer.write.bits(0, 1), BufferOverflowError);
+      assert.deepEqual(buffer.getBuffer(), new Uint8Array([0x12, 0x34]));
+    });
+
+    await t.test("caller-supplied memory", (t) => {
+      const memory = new SharedArrayBuffer(8);
+      const buffer = new BitPackedBuffer(memory, {
+        byteOffset: 2,
+        byteLength: 4,
+      });
+      assert.equal(buffer.bitLength, 32);
+      buffer.write.uint(0xdeadbeef, 32);
+      assert.deepEqual(
+        new Uint8Array(memory),
+        new Uint8Array([0, 0, 0xde, 0xad, 0xbe, 0xef, 0, 0]),
+      );
+      // ArrayBuffer contents never grow, so writes stay in the memory
+      assert.throws(() => buffer.write.bits(1, 1), BufferOverflowError);
+
+      buffer.clear().write.bits(0b101, 3);
+      assert.deepEqual(
+        new Uint8Array(memory),
+        new Uint8Array([0, 0, 0xa0, 0, 0, 0, 0, 0]),
+      );
+    });
+
+    await t.test("invalid options", (t) => {
+      assert.throws(
+        () => new BitPackedBuffer(null, { capacity: -1 }),
+        RangeError,
+      );
+      assert.throws(
+        () => new BitPackedBuffer(null, { maxSize: 1.5 }),
+        RangeError,
+      );
+      assert.throws(
+        () => new BitPackedBuffer(null, { capacity: 10, maxSize: 5 }),
+        RangeError,
+      );
+    });
+
+    await t.test("capacity can't exceed caller-supplied memory", (t) => {
+      const memory = new ArrayBuffer(8);
+      assert.throws(
+        () => new BitPackedBuffer(memory, { capacity: 9 }),
+        RangeError,
+      );
+      assert.throws(
+        () => new BitPackedBuffer(memory, { byteLength: 4, capacity: 5 }),
+        RangeError,
+      );
+      const buffer = new BitPackedBuffer(memory, { capacity: 8 });
+      buffer.write.uint(0xff, 8);
+      assert.equal(new Uint8Array(memory)[0], 0xff);
+    });
+  });
+
+  await t.test("non-throwing reads", async (t) => {
+    await t.test("successful reads", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x12, 0x34]));
+      assert.deepEqual(buffer.tryRead.uint(8), { ok: true, value: 0x12 });
+      assert.equal(buffer.bitPosition, 8);
+    });
+
+    await t.test("underrun restores the position", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0xab, 0xcd]));
+      buffer.read.bits(4);
+      const result = buffer.tryRead.uint(16);
+      assert.equal(result.ok, false);
+      assert.ok(result.error instanceof BufferUnderrunError);
+      assert.equal(buffer.bitPosition, 4);
+      assert.equal(buffer.read.bits(4), 0xb);
+    });
+
+    await t.test("malformed data restores the position", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0x80, 0x80, 0x80]));
+      const result = buffer.tryRead.varint({ maxBytes: 2 });
+      assert.equal(result.ok, false);
+      assert.ok(result.error instanceof InvalidEncodingError);
+      assert.equal(buffer.bitPosition, 0);
+    });
+
+    await t.test("varints too large for a number", (t) => {
+      const buffer = new BitPackedBuffer();
+      buffer.write.bigVarint(2n ** 60n).write.bits(1, 1);
+      buffer.seek(0);
+      const result = buffer.tryRead.varint();
+      assert.equal(result.ok, false);
+      assert.ok(result.error instanceof InvalidEncodingError);
+      assert.equal(result.error.bitOffset, 0);
+      assert.equal(buffer.bitPosition, 0);
+      assert.equal(
+        buffer.tryRead.prefixedBytes({ prefix: "varint" }).ok,
+        false,
+      );
+      assert.equal(buffer.bitPosition, 0);
+      assert.equal(buffer.read.bigVarint(), 2n ** 60n);
+    });
+
+    await t.test("usage errors still throw", (t) => {
+      const buffer = new BitPackedBuffer(new Uint8Array([0]));
+      assert.throws(() => buffer.tryRead.bits(33), InvalidBitCountError);
+    });
+  });
 });
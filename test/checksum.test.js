@@ -0,0 +1,125 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import {
+  crc,
+  CRC8,
+  CRC16_ARC,
+  CRC16_MODBUS,
+  CRC16_CCITT_FALSE,
+  CRC16_XMODEM,
+  CRC32,
+  CRC32C,
+  ADLER32,
+  FLETCHER16,
+  FLETCHER32,
+} from "../src/checksum.js";
+
+const encode = (text) => new TextEncoder().encode(text);
+
+test("checksum algorithms", async (t) => {
+  await t.test("CRC check values", () => {
+    const check = encode("123456789");
+    assert.equal(CRC8.compute(check), 0xf4);
+    assert.equal(CRC16_ARC.compute(check), 0xbb3d);
+    assert.equal(CRC16_MODBUS.compute(check), 0x4b37);
+    assert.equal(CRC16_CCITT_FALSE.compute(check), 0x29b1);
+    assert.equal(CRC16_XMODEM.compute(check), 0x31c3);
+    assert.equal(CRC32.compute(check), 0xcbf43926);
+    assert.equal(CRC32C.compute(check), 0xe3069283);
+  });
+
+  await t.test("custom CRC parameters", () => {
+    const check = encode("123456789");
+    // CRC-16/KERMIT: reflected 0x1021
+    const kermit = crc({ width: 16, poly: 0x1021, reflectIn: true });
+    assert.equal(kermit.compute(check), 0x2189);
+    // CRC-32/MPEG-2: unreflected 0x04c11db7
+    const mpeg2 = crc({ width: 32, poly: 0x04c11db7, init: 0xffffffff });
+    assert.equal(mpeg2.compute(check), 0x0376e6e7);
+    // CRC-8/MAXIM: reflected 0x31
+    const maxim = crc({ width: 8, poly: 0x31, reflectIn: true });
+    assert.equal(maxim.compute(check), 0xa1);
+    assert.throws(() => crc({ width: 4, poly: 0x3 }), RangeError);
+  });
+
+  await t.test("Adler and Fletcher", () => {
+    assert.equal(ADLER32.compute(encode("Wikipedia")), 0x11e60398);
+    assert.equal(FLETCHER16.compute(encode("abcdef")), 0x2057);
+    assert.equal(FLETCHER32.compute(encode("abcde")), 0xf04fc729);
+    assert.equal(FLETCHER32.compute(encode("abcdef")), 0x56502d2a);
+  });
+
+  await t.test("empty input", () => {
+    assert.equal(CRC32.compute(new Uint8Array()), 0);
+    assert.equal(ADLER32.compute(new Uint8Array()), 1);
+  });
+});
+
+test("checksums over marked ranges", async (t) => {
+  await t.test("write and verify", () => {
+    const buffer = new BitPackedBuffer();
+    buffer.write.uint(0xaa, 8);
+    buffer.mark("start");
+    buffer.write.string("123456789");
+    buffer.write.checksum(CRC32, "start");
+
+    const bytes = buffer.getBuffer();
+    assert.deepEqual(
+      bytes.subarray(10),
+      new Uint8Array([0xcb, 0xf4, 0x39, 0x26]),
+    );
+
+    const reader = new BitPackedBuffer(bytes);
+    reader.read.uint(8);
+    reader.mark("start");
+    reader.read.string(9);
+    assert.equal(reader.peek.checksum(CRC32, "start"), 0xcbf43926);
+    assert.equal(reader.read.checksum(CRC32, "start"), 0xcbf43926);
+    assert.equal(reader.isComplete(), true);
+  });
+
+  await t.test("between two marks", () => {
+    const buffer = new BitPackedBuffer(encode("xx123456789yy"));
+    buffer.skip(2);
+    buffer.mark("from");
+    buffer.skip(9);
+    buffer.mark("to");
+    buffer.seek(0);
+    assert.equal(buffer.checksum(CRC16_MODBUS, "from", "to"), 0x4b37);
+  });
+
+  await t.test("respects endianness", () => {
+    const buffer = new BitPackedBuffer(undefined, "little");
+    buffer.mark("start");
+    buffer.write.string("123456789");
+    buffer.write.checksum(CRC16_ARC, "start");
+    assert.deepEqual(
+      buffer.getBuffer().subarray(9),
+      new Uint8Array([0x3d, 0xbb]),
+    );
+  });
+
+  await t.test("mismatch", () => {
+    const bytes = encode("123456789\x00\x00");
+    const buffer = new BitPackedBuffer(bytes);
+    buffer.mark("start");
+    buffer.skip(9);
+    assert.throws(
+      () => buffer.read.checksum(CRC16_CCITT_FALSE, "start"),
+      /CRC-16\/CCITT-FALSE mismatch: expected 0x29b1, found 0x0/,
+    );
+  });
+
+  await t.test("error conditions", () => {
+    const buffer = new BitPackedBuffer(new Uint8Array(4));
+    assert.throws(
+      () => buffer.checksum(CRC8, "missing"),
+      /Mark 'missing' not found/,
+    );
+    buffer.read.bits(3);
+    buffer.mark("unaligned");
+    buffer.skip(1);
+    assert.throws(() => buffer.checksum(CRC8, "unaligned"), RangeError);
+  });
+});
@@ -0,0 +1,104 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import { dump, diff } from "../src/debug.js";
+
+/**
+ * Writes a small header with tracing enabled.
+ */
+function writeHeader({ version = 2, flags = 5, length = 300 } = {}) {
+  const buffer = new BitPackedBuffer(undefined, { trace: true });
+  buffer.label("version").write.uint(version, 3);
+  buffer.label("flags").write.bits(flags, 4);
+  buffer.label("length").write.uint(length, 12);
+  buffer.write.bytes(new Uint8Array([0xab]));
+  return buffer;
+}
+
+test("dump", async (t) => {
+  await t.test("annotates traced fields", (t) => {
+    assert.equal(
+      dump(writeHeader()),
+      [
+        "0000  4a  010|0101|0       version (uint, 3 bits) = 2; flags (bits, 4 bits) = 5; length (uint, 12 bits) = 300",
+        "0001  25  00100101",
+        "0002  80  100|00000",
+        "0003  ab  10101011         bytes (8 bits) = <ab>",
+      ].join("\n"),
+    );
+  });
+
+  await t.test("partial final byte", (t) => {
+    const buffer = new BitPackedBuffer();
+    buffer.write.bits(0b101, 3);
+    assert.equal(dump(buffer), "0000  a0  101.....");
+  });
+
+  await t.test("lsb-first buffers list bits in stream order", (t) => {
+    const buffer = new BitPackedBuffer(undefined, {
+      bitOrder: "lsb",
+      trace: true,
+    });
+    buffer.write.bits(1, 1).write.bits(1, 2);
+    assert.equal(
+      dump(buffer),
+      "0000  03  1|10|.....       bits (1 bits) = 1; bits (2 bits) = 1",
+    );
+  });
+
+  await t.test("views start at their own first bit", (t) => {
+    const buffer = new BitPackedBuffer(new Uint8Array([0x0f, 0xf0]));
+    assert.equal(dump(buffer.slice(4, 8)), "0000  ff  11111111");
+    assert.equal(dump(buffer.slice(6, 4)), "0000  f0  1111....");
+    buffer.read.bits(4);
+    assert.equal(dump(buffer.view(8)), "0000  ff  11111111");
+  });
+
+  await t.test("trace from another buffer", (t) => {
+    const written = writeHeader();
+    const parsed = new BitPackedBuffer(written.getBuffer());
+    assert.equal(dump(parsed, { trace: written.trace }), dump(written));
+  });
+});
+
+test("diff", async (t) => {
+  await t.test("equal buffers", (t) => {
+    assert.deepEqual(diff(writeHeader(), writeHeader()), []);
+  });
+
+  await t.test("reports differing fields", (t) => {
+    const expected = writeHeader();
+    const actual = writeHeader({ flags: 4, length: 301 });
+    const differences = diff(expected, actual);
+    assert.deepEqual(
+      differences.map(({ bitOffset, width, a, b, field }) => [
+        bitOffset,
+        width,
+        a,
+        b,
+        field.label,
+      ]),
+      [
+        [3, 4, "0101", "0100", "flags"],
+        [7, 12, "000100101100", "000100101101", "length"],
+      ],
+    );
+    assert.equal(diff(expected, actual, { limit: 1 }).length, 1);
+  });
+
+  await t.test("untraced buffers are compared by byte", (t) => {
+    const a = new BitPackedBuffer(new Uint8Array([1, 2, 3]));
+    const b = new BitPackedBuffer(new Uint8Array([1, 6, 3, 4]));
+    assert.deepEqual(diff(a, b), [
+      { bitOffset: 8, width: 8, a: "00000010", b: "00000110" },
+      { bitOffset: 24, width: 8, a: "", b: "00000100" },
+    ]);
+  });
+
+  await t.test("views are compared from their own first bit", (t) => {
+    const parent = new BitPackedBuffer(new Uint8Array([0x0f, 0xf0]));
+    const ones = new BitPackedBuffer(new Uint8Array([0xff]));
+    assert.deepEqual(diff(parent.slice(4, 8), ones), []);
+    assert.deepEqual(diff(parent.slice(4, 4), parent.slice(8, 4)), []);
+  });
+});
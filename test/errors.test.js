@@ -0,0 +1,95 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import { CRC8 } from "../src/checksum.js";
+import {
+  BufferUnderrunError,
+  BufferOverflowError,
+  InvalidBitCountError,
+  MissingMarkError,
+  ValueOutOfRangeError,
+  InvalidEncodingError,
+} from "../src/errors.js";
+
+test("errors", async (t) => {
+  await t.test("class hierarchy", (t) => {
+    for (const ErrorClass of [
+      BufferUnderrunError,
+      BufferOverflowError,
+      InvalidBitCountError,
+      ValueOutOfRangeError,
+      InvalidEncodingError,
+    ]) {
+      const error = new ErrorClass("message");
+      assert.ok(error instanceof RangeError);
+      assert.equal(error.name, ErrorClass.name);
+    }
+    assert.ok(new MissingMarkError("start") instanceof Error);
+    assert.equal(
+      new BufferUnderrunError().message,
+      "Buffer underrun while reading bits",
+    );
+  });
+
+  await t.test("buffer underrun", (t) => {
+    const buffer = new BitPackedBuffer(new Uint8Array([0xff, 0xff]));
+    buffer.read.bits(3);
+    assert.throws(() => buffer.read.uint(16), {
+      name: "BufferUnderrunError",
+      message:
+        "Buffer underrun: 16 bits requested, 13 available (at bit offset 3)",
+      bitOffset: 3,
+      bitCount: 16,
+      available: 13,
+    });
+  });
+
+  await t.test("invalid bit count", (t) => {
+    const buffer = new BitPackedBuffer();
+    assert.throws(() => buffer.write.bits(0, 33), InvalidBitCountError);
+    assert.throws(() => buffer.read.bits(0), {
+      name: "InvalidBitCountError",
+      bitOffset: 0,
+      bitCount: 0,
+    });
+  });
+
+  await t.test("missing mark", (t) => {
+    const buffer = new BitPackedBuffer();
+    buffer.write.uint(1, 8);
+    assert.throws(() => buffer.reset("header"), {
+      name: "MissingMarkError",
+      message: "Mark 'header' not found (at bit offset 8)",
+      mark: "header",
+    });
+  });
+
+  await t.test("value out of range", (t) => {
+    const buffer = new BitPackedBuffer();
+    assert.throws(() => buffer.write.varint(-1), {
+      name: "ValueOutOfRangeError",
+      value: -1,
+      bitOffset: 0,
+    });
+    assert.throws(() => buffer.write.fixed(NaN, 4, 4), ValueOutOfRangeError);
+  });
+
+  await t.test("invalid encoding", (t) => {
+    const overlong = new BitPackedBuffer(new Uint8Array(11).fill(0x80));
+    overlong.read.uint(8);
+    assert.throws(() => overlong.read.varint(), {
+      name: "InvalidEncodingError",
+      bitOffset: 8,
+    });
+
+    const buffer = new BitPackedBuffer();
+    buffer.mark("start").write.uint(0x42, 8).write.uint(0, 8);
+    buffer.seek(0).mark("start");
+    buffer.read.uint(8);
+    assert.throws(() => buffer.read.checksum(CRC8, "start"), {
+      name: "InvalidEncodingError",
+      bitOffset: 8,
+      bitCount: 8,
+    });
+  });
+});
@@ -0,0 +1,146 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import { InvalidEncodingError } from "../src/errors.js";
+import {
+  EMULATION_PREVENTION,
+  JPEG_BYTE_STUFFING,
+  COBS,
+  HDLC_BIT_STUFFING,
+} from "../src/escaping.js";
+
+const bytes = (...values) => new Uint8Array(values);
+
+// Checks that a byte layer escapes `raw` to `escaped` and back
+function assertRoundTrip(layer, raw, escaped) {
+  const options = { bitLength: raw.length * 8, lsbFirst: false };
+  assert.deepEqual(layer.escape(raw, options), {
+    bytes: escaped,
+    bitLength: escaped.length * 8,
+  });
+  assert.deepEqual(
+    layer.unescape(escaped, { ...options, bitLength: escaped.length * 8 })
+      .bytes,
+    raw,
+  );
+}
+
+test("escaping", async (t) => {
+  await t.test("emulation prevention", (t) => {
+    assertRoundTrip(
+      EMULATION_PREVENTION,
+      bytes(0, 0, 1, 0, 0, 0, 0, 0, 3, 0, 0, 4),
+      bytes(0, 0, 3, 1, 0, 0, 3, 0, 0, 3, 0, 3, 0, 0, 4),
+    );
+    // Trailing cabac_zero_words
+    assertRoundTrip(
+      EMULATION_PREVENTION,
+      bytes(0x80, 0, 0, 0, 0),
+      bytes(0x80, 0, 0, 3, 0, 0, 3),
+    );
+  });
+
+  await t.test("JPEG byte stuffing", (t) => {
+    assertRoundTrip(
+      JPEG_BYTE_STUFFING,
+      bytes(0x12, 0xff, 0x34, 0xff),
+      bytes(0x12, 0xff, 0, 0x34, 0xff, 0),
+    );
+  });
+
+  await t.test("COBS", (t) => {
+    assertRoundTrip(COBS, bytes(), bytes(1));
+    assertRoundTrip(COBS, bytes(0), bytes(1, 1));
+    assertRoundTrip(COBS, bytes(0, 0x11, 0), bytes(1, 2, 0x11, 1));
+    assertRoundTrip(
+      COBS,
+      bytes(0x11, 0x22, 0, 0x33),
+      bytes(3, 0x11, 0x22, 2, 0x33),
+    );
+    assertRoundTrip(COBS, bytes(0x11, 0, 0, 0), bytes(2, 0x11, 1, 1, 1));
+
+    const run = Uint8Array.from({ length: 255 }, (_, i) => i + 1);
+    assertRoundTrip(
+      COBS,
+      run.subarray(0, 254),
+      bytes(0xff, ...run.subarray(0, 254)),
+    );
+    assertRoundTrip(COBS, run, bytes(0xff, ...run.subarray(0, 254), 2, 0xff));
+
+    // A trailing frame delimiter is ignored
+    const options = { bitLength: 48, lsbFirst: false };
+    assert.deepEqual(
+      COBS.unescape(bytes(3, 0x11, 0x22, 2, 0x33, 0), options).bytes,
+      bytes(0x11, 0x22, 0, 0x33),
+    );
+    assert.throws(
+      () => COBS.unescape(bytes(2, 0, 1), options),
+      InvalidEncodingError,
+    );
+    assert.throws(() => COBS.unescape(bytes(5, 1, 2), options), /past the end/);
+  });
+
+  await t.test("HDLC bit stuffing", (t) => {
+    const escaped = HDLC_BIT_STUFFING.escape(bytes(0xff, 0xff), {
+      bitLength: 16,
+      lsbFirst: false,
+    });
+    assert.deepEqual(escaped, {
+      bytes: bytes(0xfb, 0xef, 0xa0),
+      bitLength: 19,
+    });
+    assert.deepEqual(
+      HDLC_BIT_STUFFING.unescape(escaped.bytes, {
+        bitLength: 19,
+        lsbFirst: false,
+      }),
+      { bytes: bytes(0xff, 0xff), bitLength: 16 },
+    );
+
+    // Least significant bit first, as transmitted
+    assert.deepEqual(
+      HDLC_BIT_STUFFING.escape(bytes(0x3f), { bitLength: 8, lsbFirst: true }),
+      { bytes: bytes(0x5f, 0x00), bitLength: 9 },
+    );
+
+    assert.throws(
+      () =>
+        HDLC_BIT_STUFFING.unescape(bytes(0x7e), {
+          bitLength: 8,
+          lsbFirst: false,
+        }),
+      { name: "InvalidEncodingError", bitOffset: 1 },
+    );
+  });
+
+  await t.test("applied by buffers", (t) => {
+    const writer = new BitPackedBuffer(undefined, {
+      escaping: EMULATION_PREVENTION,
+    });
+    writer.write.uint(0, 16).write.uint(1, 8).write.bits(0b101, 3);
+    assert.deepEqual(writer.getBuffer(), bytes(0, 0, 3, 1, 0xa0));
+
+    const reader = new BitPackedBuffer(bytes(0, 0, 3, 1, 0xa0), {
+      escaping: EMULATION_PREVENTION,
+    });
+    assert.equal(reader.bitLength, 32);
+    assert.equal(reader.read.uint(24), 1);
+    assert.equal(reader.read.bits(3), 0b101);
+
+    const options = { bitOrder: "lsb", escaping: HDLC_BIT_STUFFING };
+    const frame = new BitPackedBuffer(undefined, options);
+    frame.write.uint(0x3f, 8);
+    assert.deepEqual(frame.getBuffer(), bytes(0x5f, 0x00));
+
+    const received = new BitPackedBuffer(bytes(0x5f, 0x00), options);
+    assert.equal(received.bitLength, 15);
+    assert.equal(received.read.uint(8), 0x3f);
+  });
+
+  await t.test("invalid contents", (t) => {
+    assert.throws(
+      () => new BitPackedBuffer(bytes(0, 1), { escaping: COBS }),
+      InvalidEncodingError,
+    );
+  });
+});
@@ -0,0 +1,142 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import { BufferUnderrunError } from "../src/errors.js";
+import { HuffmanCode } from "../src/huffman.js";
+
+// DEFLATE's fixed literal/length code (RFC 1951, section 3.2.6)
+const fixedLengths = [
+  ...new Array(144).fill(8),
+  ...new Array(112).fill(9),
+  ...new Array(24).fill(7),
+  ...new Array(8).fill(8),
+];
+
+test("HuffmanCode", async (t) => {
+  await t.test("canonical codes from lengths", (t) => {
+    // Example from RFC 1951, section 3.2.2
+    const code = HuffmanCode.fromLengths([3, 3, 3, 3, 3, 2, 4, 4]);
+    assert.deepEqual(
+      code.codes,
+      [0b010, 0b011, 0b100, 0b101, 0b110, 0b00, 0b1110, 0b1111],
+    );
+    assert.equal(code.maxLength, 4);
+  });
+
+  await t.test("lengths from frequencies", (t) => {
+    const code = HuffmanCode.fromFrequencies([45, 13, 12, 16, 9, 5]);
+    assert.deepEqual(code.lengths, [1, 3, 3, 3, 4, 4]);
+
+    assert.deepEqual(HuffmanCode.fromFrequencies([0, 7, 0]).lengths, [0, 1, 0]);
+    assert.deepEqual(HuffmanCode.fromFrequencies([0, 0]).lengths, [0, 0]);
+  });
+
+  await t.test("length limiting", (t) => {
+    // Fibonacci frequencies produce the deepest possible tree
+    const frequencies = [1, 1, 2, 3, 5, 8, 13, 21, 34, 55];
+    assert.equal(HuffmanCode.fromFrequencies(frequencies).maxLength, 9);
+
+    const limited = HuffmanCode.fromFrequencies(frequencies, { maxLength: 5 });
+    assert.equal(limited.maxLength, 5);
+    const kraft = limited.lengths.reduce(
+      (sum, length) => sum + 2 ** -length,
+      0,
+    );
+    assert.equal(kraft, 1);
+    assert.ok(limited.lengths[9] <= limited.lengths[0]);
+
+    assert.throws(
+      () => HuffmanCode.fromFrequencies(frequencies, { maxLength: 3 }),
+      RangeError,
+    );
+  });
+
+  await t.test("round trip", (t) => {
+    const code = HuffmanCode.fromFrequencies([45, 13, 12, 16, 9, 5]);
+    const symbols = [0, 1, 2, 3, 4, 5, 5, 0, 3];
+
+    for (const options of [
+      "big",
+      "little",
+      { bitOrder: "lsb" },
+      { endian: "little", bitOrder: "lsb" },
+    ]) {
+      const buffer = new BitPackedBuffer(undefined, options);
+      for (const symbol of symbols) code.write(buffer, symbol);
+      buffer.seek(0);
+      assert.deepEqual(
+        symbols.map(() => code.read(buffer)),
+        symbols,
+      );
+    }
+  });
+
+  await t.test("codes longer than a byte", (t) => {
+    const code = HuffmanCode.fromLengths(fixedLengths);
+    const symbols = [0, 143, 144, 255, 256, 279, 280, 287];
+
+    for (const endian of ["big", "little"]) {
+      const buffer = new BitPackedBuffer(undefined, endian);
+      for (const symbol of symbols) code.write(buffer, symbol);
+      buffer.seek(0);
+      assert.deepEqual(
+        symbols.map(() => code.read(buffer)),
+        symbols,
+      );
+    }
+  });
+
+  await t.test("DEFLATE bit packing", (t) => {
+    const code = HuffmanCode.fromLengths(fixedLengths);
+
+    // A final fixed-Huffman block holding "a", as produced by zlib
+    const buffer = new BitPackedBuffer(undefined, { bitOrder: "lsb" });
+    buffer.write.bits(1, 1).write.bits(1, 2);
+    code.write(buffer, 0x61);
+    code.write(buffer, 256);
+    assert.deepEqual(buffer.getBuffer(), new Uint8Array([0x4b, 0x04, 0x00]));
+
+    const reader = new BitPackedBuffer(new Uint8Array([0x4b, 0x04, 0x00]), {
+      bitOrder: "lsb",
+    });
+    reader.skipBits(3);
+    assert.equal(code.peek(reader), 0x61);
+    assert.equal(code.read(reader), 0x61);
+    assert.equal(code.read(reader), 256);
+  });
+
+  await t.test("end of buffer", (t) => {
+    const code = HuffmanCode.fromLengths([1, 2, 3, 3]);
+
+    // The final symbol's code is shorter than maxLength
+    const buffer = new BitPackedBuffer();
+    code.write(buffer, 2).write.bits(0, 4).write.bits(0, 1);
+    const reader = new BitPackedBuffer(buffer.getBuffer());
+    assert.equal(code.read(reader), 2);
+    reader.skipBits(4);
+    assert.equal(code.read(reader), 0);
+    assert.throws(() => code.read(reader), BufferUnderrunError);
+
+    // A code cut off by the end of the buffer
+    const truncated = new BitPackedBuffer(new Uint8Array([0b00000011]));
+    truncated.skipBits(6);
+    assert.throws(() => code.read(truncated), BufferUnderrunError);
+    assert.equal(truncated.bitPosition, 6);
+  });
+
+  await t.test("errors", (t) => {
+    assert.throws(() => HuffmanCode.fromLengths([1, 1, 1]), /over-subscribed/);
+    assert.throws(() => HuffmanCode.fromLengths([1, 21]), RangeError);
+    assert.throws(() => HuffmanCode.fromLengths([1, -1]), RangeError);
+
+    const code = HuffmanCode.fromLengths([0, 2, 2]);
+    assert.throws(
+      () => code.write(new BitPackedBuffer(), 0),
+      /no Huffman code/,
+    );
+
+    // Incomplete codes leave some bit patterns unassigned
+    const reader = new BitPackedBuffer(new Uint8Array([0b11000000]));
+    assert.throws(() => code.read(reader), /Invalid Huffman code/);
+  });
+});
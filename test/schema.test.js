@@ -0,0 +1,176 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { BitPackedBuffer } from "../src/buffer.js";
+import { Schema, SchemaError } from "../src/schema.js";
+
+test("Schema", async (t) => {
+  const point = new Schema([
+    { name: "x", type: "int", bits: 12 },
+    { name: "y", type: "int", bits: 12 },
+  ]);
+
+  const packet = new Schema([
+    { name: "version", type: "uint", bits: 4 },
+    { name: "hasExtra", type: "bool" },
+    { name: "kind", type: "bits", bits: 3 },
+    { name: "extra", type: "uint", bits: 16, when: (p) => p.hasExtra },
+    { name: "origin", type: "struct", schema: point },
+    { name: "count", type: "uint", bits: 8 },
+    {
+      name: "points",
+      type: "array",
+      count: "count",
+      of: { type: "struct", schema: point },
+    },
+    { name: "tag", type: "uint", bits: 3 },
+    { type: "align" },
+    { name: "nameLength", type: "uint", bits: 8 },
+    { name: "name", type: "string", length: "nameLength" },
+    { name: "label", type: "cString" },
+    { name: "checksum", type: "bytes", length: 2 },
+  ]);
+
+  const value = {
+    version: 2,
+    hasExtra: true,
+    kind: 5,
+    extra: 0xbeef,
+    origin: { x: -1, y: 2047 },
+    count: 2,
+    points: [
+      { x: 1, y: -2 },
+      { x: -2048, y: 0 },
+    ],
+    tag: 7,
+    nameLength: 5,
+    name: "hello",
+    label: "hi",
+    checksum: new Uint8Array([0xab, 0xcd]),
+  };
+
+  await t.test("round trip", (t) => {
+    const bytes = packet.encode(value);
+    assert.deepEqual(packet.decode(bytes), value);
+  });
+
+  await t.test("string encodings", (t) => {
+    const record = new Schema([
+      { name: "name", type: "string", length: 4, encoding: "utf-16be" },
+      { name: "label", type: "cString", encoding: "utf-16le" },
+    ]);
+    const bytes = record.encode({ name: "hé", label: "a" });
+    assert.deepEqual(
+      bytes,
+      new Uint8Array([0x00, 0x68, 0x00, 0xe9, 0x61, 0x00, 0x00, 0x00]),
+    );
+    assert.deepEqual(record.decode(bytes), { name: "hé", label: "a" });
+  });
+
+  await t.test("bit layout", (t) => {
+    const bytes = point.encode({ x: 0x123, y: -1 });
+    assert.deepEqual(bytes, new Uint8Array([0x12, 0x3f, 0xff]));
+  });
+
+  await t.test("conditional fields", (t) => {
+    const bytes = packet.encode({ ...value, hasExtra: false, extra: 1 });
+    const decoded = packet.decode(bytes);
+    assert.equal(decoded.hasExtra, false);
+    assert.equal("extra" in decoded, false);
+    assert.equal(bytes.length, packet.encode(value).length - 2);
+  });
+
+  await t.test("fixed counts and inline fields", (t) => {
+    const schema = new Schema([
+      {
+        name: "header",
+        type: "struct",
+        fields: [{ name: "id", type: "bigUint", bits: 48 }],
+      },
+      {
+        name: "values",
+        type: "array",
+        count: 3,
+        of: { type: "uint", bits: 5 },
+      },
+      { name: "scale", type: "float32" },
+      { name: "delta", type: "zigzagVarint" },
+    ]);
+    const input = {
+      header: { id: 2n ** 47n },
+      values: [1, 31, 7],
+      scale: 0.5,
+      delta: -300,
+    };
+    assert.deepEqual(schema.decode(schema.encode(input)), input);
+  });
+
+  await t.test("reading from an existing buffer", (t) => {
+    const buffer = new BitPackedBuffer();
+    buffer.write.bits(1, 1);
+    point.write(buffer, { x: 5, y: 6 });
+    buffer.seek(0);
+    assert.equal(buffer.read.bits(1), 1);
+    assert.deepEqual(point.read(buffer), { x: 5, y: 6 });
+
+    // decode() reads a buffer from its current position too
+    buffer.seek(0).read.bits(1);
+    assert.deepEqual(point.decode(buffer), { x: 5, y: 6 });
+  });
+
+  await t.test("endianness", (t) => {
+    const schema = new Schema([{ name: "v", type: "uint", bits: 16 }]);
+    const bytes = schema.encode({ v: 0x1234 }, "little");
+    assert.deepEqual(bytes, new Uint8Array([0x34, 0x12]));
+    assert.deepEqual(schema.decode(bytes, "little"), { v: 0x1234 });
+  });
+
+  await t.test("definition errors", (t) => {
+    assert.throws(
+      () => new Schema([{ name: "a", type: "uint" }]),
+      (error) => error instanceof SchemaError && error.path === "a",
+    );
+    assert.throws(
+      () =>
+        new Schema([
+          { name: "outer", type: "struct", fields: [{ name: "b", type: "x" }] },
+        ]),
+      (error) =>
+        error.path === "outer.b" && /unknown field type/.test(error.message),
+    );
+    assert.throws(() => new Schema([{ type: "uint", bits: 8 }]), SchemaError);
+  });
+
+  await t.test("encoding errors", (t) => {
+    assert.throws(
+      () => packet.encode({ ...value, origin: { x: 2048, y: 0 } }),
+      (error) =>
+        error instanceof SchemaError &&
+        error.path === "origin.x" &&
+        /does not fit in 12-bit int/.test(error.message),
+    );
+    assert.throws(
+      () => packet.encode({ ...value, points: [value.points[0], { x: 1 }] }),
+      (error) =>
+        error.path === "points[1].y" && /missing value/.test(error.message),
+    );
+    assert.throws(
+      () => packet.encode({ ...value, count: 3 }),
+      (error) => error.path === "points" && /from 'count'/.test(error.message),
+    );
+    assert.throws(
+      () => packet.encode({ ...value, version: "2" }),
+      (error) => error.path === "version",
+    );
+  });
+
+  await t.test("decoding errors", (t) => {
+    const bytes = packet.encode(value);
+    assert.throws(
+      () => packet.decode(bytes.subarray(0, 10)),
+      (error) =>
+        error instanceof SchemaError &&
+        error.path === "points[1].x" &&
+        error.cause instanceof RangeError,
+    );
+  });
+});
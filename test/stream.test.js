@@ -0,0 +1,178 @@
+import test from "node:test";
+import assert from "node:assert/strict";
+import { Readable, Writable } from "node:stream";
+import { ReadableStream, WritableStream } from "node:stream/web";
+import { BitStreamReader, BitStreamWriter } from "../src/stream.js";
+import { BufferUnderrunError } from "../src/errors.js";
+import { EMULATION_PREVENTION } from "../src/escaping.js";
+
+async function* chunked(bytes, size) {
+  for (let i = 0; i < bytes.length; i += size) {
+    yield bytes.slice(i, i + size);
+  }
+}
+
+test("BitStreamReader", async (t) => {
+  await t.test("reads across chunk boundaries", async (t) => {
+    const bytes = new Uint8Array([0xab, 0xcd, 0xef, 0x12, 0x34, 0x56]);
+    const reader = new BitStreamReader(chunked(bytes, 1));
+    assert.equal(await reader.read.bits(4), 0xa);
+    assert.equal(await reader.read.uint(16), 0xbcde);
+    assert.equal(await reader.peek.bits(4), 0xf);
+    assert.equal(await reader.read.uint(20), 0xf1234);
+    assert.equal(reader.bitPosition, 40);
+    assert.equal(await reader.isComplete(), false);
+    assert.equal(await reader.read.uint(8), 0x56);
+    assert.equal(await reader.isComplete(), true);
+  });
+
+  await t.test("variable-length reads", async (t) => {
+    const bytes = new Uint8Array([0xac, 0x02, 0x68, 0x69, 0x00, 0x2a]);
+    const reader = new BitStreamReader(chunked(bytes, 1));
+    assert.equal(await reader.read.varint(), 300);
+    assert.equal(await reader.read.cString(), "hi");
+    assert.equal(await reader.read.uint(8), 42);
+  });
+
+  await t.test("web ReadableStream", async (t) => {
+    const stream = new ReadableStream({
+      start(controller) {
+        controller.enqueue(new Uint8Array([0x01, 0x02]));
+        controller.enqueue(new Uint8Array([0x03]));
+        controller.close();
+      },
+    });
+    const reader = new BitStreamReader(stream, "little");
+    assert.equal(await reader.read.uint(16), 0x0201);
+    assert.equal(await reader.read.uint(8), 3);
+  });
+
+  await t.test("Node.js Readable", async (t) => {
+    const stream = Readable.from([Buffer.from([0xff]), Buffer.from([0x00])]);
+    const reader = new BitStreamReader(stream);
+    await reader.skipBits(4);
+    assert.equal(await reader.read.bits(8), 0xf0);
+    reader.alignToByte();
+    assert.equal(await reader.isComplete(), true);
+  });
+
+  await t.test("skipping", async (t) => {
+    const reader = new BitStreamReader(chunked(new Uint8Array(100), 7));
+    await reader.skip(99);
+    assert.equal(reader.bitPosition, 99 * 8);
+    await assert.rejects(reader.skip(2), BufferUnderrunError);
+  });
+
+  await t.test("underrun at end of stream", async (t) => {
+    const reader = new BitStreamReader(chunked(new Uint8Array([1, 2]), 1));
+    await assert.rejects(reader.read.uint(24), BufferUnderrunError);
+  });
+
+  await t.test("other errors are not retried", async (t) => {
+    const overlong = new Uint8Array(16).fill(0x80);
+    const reader = new BitStreamReader(chunked(overlong, 4));
+    await assert.rejects(
+      reader.read.varint({ maxBytes: 4 }),
+      /maximum length of 4 bytes/,
+    );
+  });
+
+  await t.test("invalid source", (t) => {
+    assert.throws(() => new BitStreamReader(42), TypeError);
+  });
+
+  await t.test("rejects escaping layers", (t) => {
+    // An escape split across chunks can't be recognised piece by piece
+    const chunks = [new Uint8Array([0, 0]), new Uint8Array([3, 1])];
+    assert.throws(
+      () => new BitStreamReader(chunks, { escaping: EMULATION_PREVENTION }),
+      TypeError,
+    );
+  });
+
+  await t.test("rejects tracing and has no checksums", (t) => {
+    assert.throws(() => new BitStreamReader([], { trace: true }), TypeError);
+    const reader = new BitStreamReader([]);
+    assert.equal(reader.read.checksum, undefined);
+    assert.equal(reader.peek.checksum, undefined);
+  });
+});
+
+test("BitStreamWriter", async (t) => {
+  await t.test("web WritableStream", async (t) => {
+    const chunks = [];
+    const stream = new WritableStream({
+      write(chunk) {
+        chunks.push(...chunk);
+      },
+    });
+    const writer = new BitStreamWriter(stream);
+    writer.write.bits(0b101, 3).write.uint(0xffff, 16);
+    assert.equal(writer.bitPosition, 19);
+    await writer.flush();
+    assert.deepEqual(chunks, [0b10111111, 0b11111111]);
+    writer.write.bits(0b11111, 5);
+    await writer.close();
+    assert.deepEqual(chunks, [0b10111111, 0b11111111, 0b11111111]);
+  });
+
+  await t.test("Node.js Writable with high water mark", async (t) => {
+    const chunks = [];
+    const stream = new Writable({
+      write(chunk, encoding, callback) {
+        chunks.push(Uint8Array.from(chunk));
+        callback();
+      },
+    });
+    const writer = new BitStreamWriter(stream, { highWaterMark: 2 });
+    writer.write.uint(1, 8).write.uint(2, 8).write.uint(3, 8);
+    await writer.flush();
+    assert.deepEqual(chunks, [new Uint8Array([1, 2]), new Uint8Array([3])]);
+    writer.write.bits(1, 1);
+    await writer.close();
+    assert.deepEqual(chunks.at(-1), new Uint8Array([0x80]));
+  });
+
+  await t.test("destination errors", async (t) => {
+    const stream = new WritableStream({
+      write() {
+        throw new Error("disk full");
+      },
+    });
+    const writer = new BitStreamWriter(stream);
+    writer.write.uint(1, 8);
+    await assert.rejects(writer.flush(), /disk full/);
+    assert.throws(() => writer.write.uint(1, 8), /disk full/);
+  });
+
+  await t.test("round trip", async (t) => {
+    const chunks = [];
+    const writer = new BitStreamWriter(
+      new WritableStream({ write: (chunk) => chunks.push(chunk) }),
+    );
+    writer.write.signedExpGolomb(-7).write.float32(1.5).write.string("ok");
+    await writer.close();
+
+    const reader = new BitStreamReader(chunks);
+    assert.equal(await reader.read.signedExpGolomb(), -7);
+    assert.equal(await reader.read.float32(), 1.5);
+    assert.equal(await reader.read.string(2), "ok");
+  });
+
+  await t.test("rejects escaping layers", (t) => {
+    const stream = new WritableStream();
+    assert.throws(
+      () => new BitStreamWriter(stream, { escaping: EMULATION_PREVENTION }),
+      TypeError,
+    );
+  });
+
+  await t.test("rejects tracing and has no checksums", (t) => {
+    const stream = new WritableStream();
+    assert.throws(
+      () => new BitStreamWriter(stream, { trace: true }),
+      TypeError,
+    );
+    assert.equal(new BitStreamWriter(stream).write.checksum, undefined);
+  });
+});
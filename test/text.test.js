@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { InvalidEncodingError, ValueOutOfRangeError } from "../src/errors.js";
+import {
+  codeUnitSize,
+  encodeString,
+  decodeString,
+  truncateEncoded,
+} from "../src/text.js";
+
+const bytes = (...values) => new Uint8Array(values);
+
+test("encoding strings", async (t) => {
+  await t.test("UTF-8", () => {
+    assert.deepEqual(encodeString("hé"), bytes(0x68, 0xc3, 0xa9));
+    assert.deepEqual(encodeString("hé", "UTF8"), bytes(0x68, 0xc3, 0xa9));
+  });
+
+  await t.test("UTF-16", () => {
+    assert.deepEqual(encodeString("hé", "utf-16le"), bytes(0x68, 0, 0xe9, 0));
+    assert.deepEqual(encodeString("hé", "utf-16be"), bytes(0, 0x68, 0, 0xe9));
+    assert.deepEqual(
+      encodeString("😀", "utf-16be"),
+      bytes(0xd8, 0x3d, 0xde, 0x00),
+    );
+  });
+
+  await t.test("Latin-1 and ASCII", () => {
+    assert.deepEqual(encodeString("hé", "latin1"), bytes(0x68, 0xe9));
+    assert.deepEqual(encodeString("hi", "ascii"), bytes(0x68, 0x69));
+    assert.throws(
+      () => encodeString("hé", "ascii", 16),
+      (error) =>
+        error instanceof ValueOutOfRangeError &&
+        error.value === "é" &&
+        error.bitOffset === 16 &&
+        /U\+00E9/.test(error.message),
+    );
+    assert.throws(() => encodeString("€", "latin1"), ValueOutOfRangeError);
+  });
+
+  await t.test("unsupported encodings", () => {
+    assert.throws(() => encodeString("hi", "shift_jis"), RangeError);
+  });
+});
+
+test("decoding strings", async (t) => {
+  await t.test("built-in encodings", () => {
+    assert.equal(decodeString(bytes(0x68, 0xc3, 0xa9)), "hé");
+    assert.equal(decodeString(bytes(0x68, 0, 0xe9, 0), "utf-16le"), "hé");
+    assert.equal(decodeString(bytes(0, 0x68, 0, 0xe9), "utf-16be"), "hé");
+    // Exactly Latin-1, not Windows-1252
+    assert.equal(decodeString(bytes(0x80, 0xe9), "latin1"), "\x80é");
+  });
+
+  await t.test("invalid ASCII", () => {
+    assert.throws(
+      () => decodeString(bytes(0x68, 0xe9), "ascii", 8),
+      (error) =>
+        error instanceof InvalidEncodingError && error.bitOffset === 16,
+    );
+  });
+
+  await t.test("other encodings", () => {
+    assert.equal(decodeString(bytes(0x82, 0xa0), "shift_jis"), "あ");
+  });
+});
+
+test("code unit size", () => {
+  assert.equal(codeUnitSize("utf-8"), 1);
+  assert.equal(codeUnitSize("UTF-16BE"), 2);
+  assert.equal(codeUnitSize("utf-16"), 2);
+  assert.equal(codeUnitSize("latin1"), 1);
+});
+
+test("truncating encoded text", async (t) => {
+  await t.test("keeps whole UTF-8 sequences", () => {
+    const encoded = encodeString("aé€");
+    assert.deepEqual(truncateEncoded(encoded, 5), encodeString("aé"));
+    assert.deepEqual(truncateEncoded(encoded, 2), encodeString("a"));
+    assert.deepEqual(truncateEncoded(encoded, 6), encoded);
+  });
+
+  await t.test("keeps whole UTF-16 code units and surrogate pairs", () => {
+    for (const encoding of ["utf-16le", "utf-16be"]) {
+      const encoded = encodeString("a😀", encoding);
+      assert.deepEqual(
+        truncateEncoded(encoded, 5, encoding),
+        encodeString("a", encoding),
+      );
+      assert.deepEqual(
+        truncateEncoded(encoded, 3, encoding),
+        encodeString("a", encoding),
+      );
+    }
+  });
+
+  await t.test("cuts single-byte encodings anywhere", () => {
+    const encoded = encodeString("hello", "latin1");
+    assert.deepEqual(
+      truncateEncoded(encoded, 3, "latin1"),
+      bytes(0x68, 0x65, 0x6c),
+    );
+  });
+});
@@ -1,6 +1,24 @@
 import { test } from "node:test";
 import assert from "node:assert/strict";
-import { swapEndianness } from "../src/utils.js";
+import {
+  swapEndianness,
+  swapBigIntEndianness,
+  unswapEndianness,
+  unswapBigIntEndianness,
+  float16ToBits,
+  bitsToFloat16,
+  zigzagEncode,
+  zigzagDecode,
+  toSafeNumber,
+  roundToInteger,
+  reverseBits,
+  reverseBigIntBits,
+  popcount,
+  grayEncode,
+  grayDecode,
+  grayEncodeBigInt,
+  grayDecodeBigInt,
+} from "../src/utils.js";
 
 test("le2be conversion", async (t) => {
   await t.test("16-bit conversion", () => {
@@ -21,4 +39,141 @@ test("le2be conversion", async (t) => {
     assert.equal(swapEndianness(0x00550000, 4), 0x00005500);
     assert.equal(swapEndianness(0xffffffff, 4), 0xffffffff);
   });
+
+  await t.test("partial groups", () => {
+    // 12 bits: a byte followed by 4 bits, which move to the top
+    assert.equal(swapEndianness(0xabc, 1, 4), 0xcab);
+    assert.equal(unswapEndianness(0xcab, 1, 4), 0xabc);
+    assert.equal(swapEndianness(0x12345, 2, 4), 0x53412);
+    assert.equal(unswapEndianness(0x53412, 2, 4), 0x12345);
+    assert.equal(swapEndianness(0x7fffffff, 3, 7), 0x7fffffff);
+  });
+
+  await t.test("unsupported sizes", () => {
+    assert.equal(swapEndianness(0x1ff, 1), 0xff);
+    assert.throws(() => swapEndianness(0, 5), RangeError);
+  });
+});
+
+test("bigint byte swapping", async (t) => {
+  await t.test("64-bit conversion", () => {
+    assert.equal(
+      swapBigIntEndianness(0x0102030405060708n, 8),
+      0x0807060504030201n,
+    );
+    assert.equal(swapBigIntEndianness(0xffn, 8), 0xff00000000000000n);
+  });
+
+  await t.test("48-bit conversion", () => {
+    assert.equal(swapBigIntEndianness(0x123456789abcn, 6), 0xbc9a78563412n);
+  });
+
+  await t.test("partial groups", () => {
+    assert.equal(swapBigIntEndianness(0x123456789abn, 5, 4), 0xb9a78563412n);
+    assert.equal(unswapBigIntEndianness(0xb9a78563412n, 5, 4), 0x123456789abn);
+  });
+});
+
+test("bit reversal", () => {
+  assert.equal(reverseBits(0b110, 3), 0b011);
+  assert.equal(reverseBits(0x1234, 16), 0x2c48);
+  assert.equal(reverseBits(1, 32), 0x80000000);
+  assert.equal(reverseBits(0xff, 0), 0);
+  assert.equal(reverseBigIntBits(1n, 64), 2n ** 63n);
+  assert.equal(reverseBigIntBits(0x1234n, 16), 0x2c48n);
+});
+
+test("population count", () => {
+  assert.equal(popcount(0), 0);
+  assert.equal(popcount(0b1011), 3);
+  assert.equal(popcount(0xffffffff), 32);
+  assert.equal(popcount(0x80000001), 2);
+});
+
+test("Gray code", () => {
+  for (let i = 0; i < 1024; i++) {
+    const code = grayEncode(i);
+    assert.equal(grayDecode(code), i);
+    // Consecutive values differ in exactly one bit
+    const change = code ^ grayEncode(i + 1);
+    assert.equal(change & (change - 1), 0);
+  }
+  assert.equal(grayEncode(0xffffffff), 0x80000000);
+  assert.equal(grayDecode(0x80000000), 0xffffffff);
+  assert.equal(grayEncodeBigInt(2n ** 64n - 1n), 2n ** 63n);
+  assert.equal(grayDecodeBigInt(2n ** 63n), 2n ** 64n - 1n);
+  assert.equal(grayDecodeBigInt(grayEncodeBigInt(0x123456789n)), 0x123456789n);
+});
+
+test("half-precision conversion", async (t) => {
+  await t.test("encoding", () => {
+    assert.equal(float16ToBits(0), 0x0000);
+    assert.equal(float16ToBits(-0), 0x8000);
+    assert.equal(float16ToBits(1), 0x3c00);
+    assert.equal(float16ToBits(-2), 0xc000);
+    assert.equal(float16ToBits(65504), 0x7bff);
+    assert.equal(float16ToBits(2 ** -24), 0x0001);
+    assert.equal(float16ToBits(2 ** -14), 0x0400);
+    assert.equal(float16ToBits(Infinity), 0x7c00);
+    assert.equal(float16ToBits(NaN), 0x7e00);
+  });
+
+  await t.test("rounding", () => {
+    // Halfway between 1 and the next half, rounds to even
+    assert.equal(float16ToBits(1 + 2 ** -11), 0x3c00);
+    assert.equal(float16ToBits(1 + 3 * 2 ** -11), 0x3c02);
+    assert.equal(float16ToBits(65520), 0x7c00);
+    assert.equal(float16ToBits(2 ** -26), 0x0000);
+  });
+
+  await t.test("decoding", () => {
+    assert.equal(bitsToFloat16(0x3c00), 1);
+    assert.equal(bitsToFloat16(0xc000), -2);
+    assert.equal(bitsToFloat16(0x7bff), 65504);
+    assert.equal(bitsToFloat16(0x0001), 2 ** -24);
+    assert.equal(bitsToFloat16(0xfc00), -Infinity);
+    assert.ok(Number.isNaN(bitsToFloat16(0x7e00)));
+  });
+});
+
+test("zigzag encoding", async (t) => {
+  await t.test("round trip", () => {
+    assert.equal(zigzagEncode(0n), 0n);
+    assert.equal(zigzagEncode(-1n), 1n);
+    assert.equal(zigzagEncode(1n), 2n);
+    assert.equal(zigzagEncode(-(2n ** 63n)), 2n ** 64n - 1n);
+    assert.equal(zigzagDecode(3n), -2n);
+    assert.equal(zigzagDecode(2n ** 64n - 1n), -(2n ** 63n));
+  });
+});
+
+test("safe number conversion", async (t) => {
+  await t.test("within range", () => {
+    assert.equal(toSafeNumber(2n ** 53n - 1n), Number.MAX_SAFE_INTEGER);
+    assert.equal(toSafeNumber(-5n), -5);
+  });
+
+  await t.test("out of range", () => {
+    assert.throws(() => toSafeNumber(2n ** 53n), RangeError);
+  });
+});
+
+test("rounding to integers", async (t) => {
+  await t.test("ties", () => {
+    assert.equal(roundToInteger(2.5, "nearest"), 3);
+    assert.equal(roundToInteger(-2.5, "nearest"), -3);
+    assert.equal(roundToInteger(2.5, "nearestEven"), 2);
+    assert.equal(roundToInteger(-2.5, "nearestEven"), -2);
+    assert.equal(roundToInteger(-3.5, "nearestEven"), -4);
+  });
+
+  await t.test("directed modes", () => {
+    assert.equal(roundToInteger(-2.7, "floor"), -3);
+    assert.equal(roundToInteger(-2.7, "ceil"), -2);
+    assert.equal(roundToInteger(-2.7, "trunc"), -2);
+  });
+
+  await t.test("unknown mode", () => {
+    assert.throws(() => roundToInteger(1, "up"), RangeError);
+  });
 });